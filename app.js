@@ -8,14 +8,27 @@ import { state, resetState } from "./modules/state.js";
 import { el } from "./modules/dom.js";
 import {
   parseInput,
-  fetchAllItems,
   fetchStoryIds,
   fetchItemsByIds,
-  buildTree,
-  computeDescendants,
-  buildVisibleTree,
+  isAbortError,
 } from "./modules/data.js";
+import { createPipeline } from "./modules/pipeline.js";
+import { onDbEvent } from "./modules/db.js";
+import { onSync } from "./modules/sync.js";
+import {
+  registerServiceWorker,
+  isOffline,
+  watchConnectivity,
+} from "./modules/offline.js";
+import { parseRoute, formatRoute, isNewEntry } from "./modules/route.js";
+import { applyTree } from "./modules/engine.js";
 import { layoutList, getLayout } from "./modules/layouts/index.js";
+import {
+  sourceList,
+  getSource,
+  getActiveSource,
+  setActiveSource,
+} from "./modules/sources/index.js";
 import {
   clamp,
   extractJson,
@@ -29,29 +42,96 @@ import {
   updateDetails,
   updateStats,
   updateBranchView,
+  snippetFromItem,
 } from "./modules/ui.js";
 import { assignLaneColors } from "./modules/color.js";
-import { computeFocus } from "./modules/focus.js";
+import { computeFocus, hasActiveFocus } from "./modules/focus.js";
+import { compileSearch, findMatches } from "./modules/search.js";
+import {
+  parseQuery,
+  matchQuery,
+  withAncestors,
+  listSavedFilters,
+  saveFilter,
+  deleteSavedFilter,
+} from "./modules/query.js";
 import {
   buildThreadPayload,
   buildStackPayload,
   sendToLocalLLM,
   saveLlmResult,
   loadLastLlmResult,
+  listLlmResults,
 } from "./modules/llm.js";
+import {
+  buildArchive,
+  downloadArchive,
+  parseArchive,
+} from "./modules/archive.js";
 import {
   getCachedThread,
   getCachedFrontpage,
   setCachedFrontpage,
   setCachedThread,
   diffThreads,
+  compareThreads,
   formatAge,
 } from "./modules/cache.js";
+import {
+  recordSnapshot,
+  listSnapshots,
+  loadSnapshot,
+} from "./modules/history.js";
 import {
   DEFAULT_ID,
   DEFAULT_MODEL,
+  FOLLOW,
+  REPLAY,
+  PARTIAL_RENDER_INTERVAL,
+  ROUTE_WRITE_DELAY,
+  READS,
+  DEBATES,
   SENTIMENT_INSTRUCTIONS,
 } from "./modules/config.js";
+import { createFollower } from "./modules/follow.js";
+import {
+  getTimeRange,
+  countItemsUntil,
+  formatElapsed,
+  createReplayer,
+} from "./modules/replay.js";
+import { setupCachePanel, refreshCachePanel } from "./modules/cache-panel.js";
+import { summarizeAuthor } from "./modules/authors.js";
+import { findDebates, debateMarks } from "./modules/debates.js";
+import { renderDebatePanel, setupDebatePanel } from "./modules/debate-panel.js";
+import {
+  renderExchangePanel,
+  setupExchangePanel,
+} from "./modules/exchange-panel.js";
+import {
+  renderSpotlightPanel,
+  setupSpotlightPanel,
+} from "./modules/spotlight-panel.js";
+import {
+  setupCacheSearchPanel,
+  refreshCacheSearchPanel,
+} from "./modules/cache-search-panel.js";
+import {
+  listBookmarks,
+  saveBookmark,
+  deleteBookmark,
+} from "./modules/bookmarks.js";
+import {
+  isUnread,
+  findUnread,
+  loadReadIds,
+  addReadIds,
+  createDwellTracker,
+} from "./modules/reads.js";
+import {
+  setupBookmarkPanel,
+  refreshBookmarkPanel,
+} from "./modules/bookmark-panel.js";
 import {
   frontpageItems,
   setFrontpageItems,
@@ -163,16 +243,25 @@ function buildTooltipHtml(item) {
   const author = item.by || "anonymous";
   const timeLabel = formatTime(item.time);
   const isStory = item.type === "story";
-  const header = isStory
-    ? escapeHtml(item.title || "Story")
-    : `Comment by ${escapeHtml(author)}`;
+  const header = item.missing
+    ? "Unavailable item"
+    : item.pending
+      ? "Loading item"
+      : isStory
+        ? escapeHtml(item.title || "Story")
+        : `Comment by ${escapeHtml(author)}`;
   const metaParts = [
     timeLabel ? escapeHtml(timeLabel) : "",
     `#${item.id}`,
   ].filter(Boolean);
   const meta = metaParts.length ? metaParts.join(" · ") : "";
+  const note = state.bookmarks.get(item.id)?.note;
   let body = "";
-  if (item.deleted || item.dead) {
+  if (item.missing) {
+    body = "<em>Could not be loaded.</em>";
+  } else if (item.pending) {
+    body = "<em>Not fetched yet.</em>";
+  } else if (item.deleted || item.dead) {
     body = "<em>Deleted or dead.</em>";
   } else if (item.text) {
     body = sanitizeHtml(item.text);
@@ -186,7 +275,9 @@ function buildTooltipHtml(item) {
   return `
     <div class="tooltip-title">${header}</div>
     ${meta ? `<div class="tooltip-meta">${meta}</div>` : ""}
+    ${note ? `<div class="tooltip-meta">Note: ${escapeHtml(note)}</div>` : ""}
     <div class="tooltip-body">${body}</div>
+    ${item.by ? `<div class="tooltip-hint">Alt+click to spotlight ${escapeHtml(item.by)}</div>` : ""}
   `;
 }
 
@@ -264,6 +355,10 @@ function applySentiments(list) {
     count += 1;
   }
   if (count) {
+    if (state.filter) {
+      updateFilter();
+      updateSearch();
+    }
     renderGraph();
     applyTransform();
     updateDetails(state, el);
@@ -389,19 +484,83 @@ function fitToView() {
   applyTransform();
 }
 
-function centerOnRoot() {
+/**
+ * Layout node drawn for an item. Layouts with one node per author (the
+ * author network) key it by the author's first item, so any other item maps
+ * to its author's node.
+ */
+function layoutNodeFor(id) {
+  const node = state.layout.get(id);
+  if (node) return node;
+  const author = state.nodes.get(id)?.by;
+  if (!author) return null;
+  for (const entry of state.layout.values()) {
+    if (entry.author === author) return entry;
+  }
+  return null;
+}
+
+function centerOnNode(id) {
   if (!state.tree) return;
-  const root = state.layout.get(state.rootId);
-  if (!root) return;
+  const node = layoutNodeFor(id);
+  if (!node) return;
   const rect = el.graph.getBoundingClientRect();
 
-  state.view.tx = rect.width / 2 - root.cx * state.view.scale;
-  state.view.ty = rect.height / 2 - root.cy * state.view.scale;
+  state.view.tx = rect.width / 2 - node.cx * state.view.scale;
+  state.view.ty = rect.height / 2 - node.cy * state.view.scale;
   applyTransform();
 }
 
-function renderGraph(options = {}) {
+function centerOnRoot() {
+  centerOnNode(state.rootId);
+}
+
+/** Fetching, tree building and layout geometry run here, off the UI thread. */
+const pipeline = createPipeline();
+
+/** Bumped each time a new tree is applied to state. */
+let treeVersion = 0;
+
+/** Geometry of the last computed layout, reused while only styling changes. */
+let currentLayout = null;
+
+/** Metric chosen per layout ID, for layouts that offer `metrics`. */
+const layoutMetrics = new Map();
+
+/** Show the metric picker for layouts that offer one, listing its choices. */
+function syncLayoutMetric(layout) {
+  if (!el.layoutMetric) return;
+  const metrics = layout?.metrics || [];
+  el.layoutMetricField.hidden = !metrics.length;
+  if (!metrics.length) return;
+  if (el.layoutMetric.dataset.layout !== layout.id) {
+    el.layoutMetric.innerHTML = metrics
+      .map((metric) => `<option value="${metric.id}">${metric.label}</option>`)
+      .join("");
+    el.layoutMetric.dataset.layout = layout.id;
+  }
+  el.layoutMetric.value = layoutMetrics.get(layout.id) ?? metrics[0].id;
+}
+
+function getLayoutKey() {
+  return [
+    state.activeLayout,
+    layoutMetrics.get(state.activeLayout) ?? "",
+    treeVersion,
+    Array.from(state.collapsed).join(","),
+    state.cutoff ?? "",
+    state.filter?.mode === "hide" ? filterVersion : "",
+  ].join("|");
+}
+
+/**
+ * Render the active layout. Geometry is recomputed by the pipeline only when
+ * the tree, collapsed set or layout changed; otherwise the render is
+ * synchronous.
+ */
+async function renderGraph(options = {}) {
   const layout = getLayout(state.activeLayout);
+  syncLayoutMetric(layout);
   if (layout?.frontpage) {
     if (el.graphShell) el.graphShell.classList.remove("has-focus");
     renderFrontpageMosaic(getFrontpageContext());
@@ -409,31 +568,68 @@ function renderGraph(options = {}) {
   }
 
   if (!state.tree) return;
-  const visibleTree = buildVisibleTree(state.tree, state);
-  const result = layout.compute(visibleTree, { state });
-
-  state.layout.clear();
-  for (const node of result.nodes) {
-    state.layout.set(node.id, node);
+  const key = getLayoutKey();
+  if (currentLayout?.key !== key) {
+    let result = null;
+    try {
+      result = await pipeline.layout(
+        state.activeLayout,
+        {
+          collapsed: Array.from(state.collapsed),
+          cutoff: state.cutoff,
+          visible:
+            state.filter?.mode === "hide"
+              ? Array.from(state.filter.visible)
+              : null,
+        },
+        { metric: layoutMetrics.get(state.activeLayout) },
+      );
+    } catch (error) {
+      console.warn("Layout failed", error);
+    }
+    if (!result || !state.tree || getLayoutKey() !== key) return;
+    currentLayout = { key, result };
+    state.layout.clear();
+    for (const node of result.nodes) {
+      state.layout.set(node.id, node);
+    }
   }
 
-  layout.render(result, { state, layer: el.graphLayer });
+  layout.render(currentLayout.result, { state, layer: el.graphLayer });
   if (el.graphShell) {
-    el.graphShell.classList.toggle("has-focus", state.focus.active);
+    el.graphShell.classList.toggle("has-focus", hasActiveFocus(state));
   }
 
+  if (options.fadeIn === false) return;
   el.graphLayer.classList.add("fade-in");
   requestAnimationFrame(() => {
     el.graphLayer.classList.remove("fade-in");
   });
 }
 
-function hydrateFromItems(id, items, sourceLabel) {
+function updateMissingAction() {
+  if (!el.retryMissingBtn) return;
+  const count = state.missing.size;
+  el.retryMissingBtn.hidden = count === 0;
+  el.retryMissingBtn.textContent = `${count} item${count === 1 ? "" : "s"} missing — retry`;
+}
+
+/**
+ * Show a thread from an item list that is already at hand.
+ * @param {number} id - Root item ID.
+ * @param {Array} items - Thread items.
+ * @param {Object} [options] - Hydration options.
+ * @param {string} [options.label] - Status message on success.
+ * @param {number[]} [options.missing] - Replies that could not be loaded.
+ * @param {number[]} [options.collapsed] - Branches to start collapsed.
+ * @param {Array} [options.sentiment] - Sentiment tags (`{id, label, ...}`).
+ * @param {AbortSignal} [options.signal] - Abandons the render when aborted.
+ * @returns {Promise<boolean>} True if the root could be built.
+ */
+async function hydrateFromItems(id, items, options = {}) {
+  const { missing = [], signal } = options;
   state.nodes.clear();
-  state.depthMap.clear();
-  state.descCount.clear();
-  state.subtreeSize.clear();
-  state.treeIndex.clear();
+  state.missing.clear();
   state.collapsed.clear();
   state.layout.clear();
   state.laneColors.clear();
@@ -441,33 +637,156 @@ function hydrateFromItems(id, items, sourceLabel) {
   state.focus.ancestors.clear();
   state.focus.descendants.clear();
   state.focus.active = false;
+  state.tree = null;
   for (const item of items) {
     state.nodes.set(item.id, item);
   }
+  for (const missingId of missing) {
+    state.missing.add(missingId);
+  }
+  for (const collapsedId of options.collapsed || []) {
+    state.collapsed.add(collapsedId);
+  }
+  for (const { id: taggedId, ...tag } of options.sentiment || []) {
+    state.sentiment.set(taggedId, tag);
+  }
+  state.rootId = id;
+
+  const { tree } = await pipeline.hydrate(id, items, missing);
+  if (signal?.aborted) return false;
+  const ok = await showThreadTree(id, tree);
+  if (ok && options.label) setStatus(el, options.label);
+  return ok;
+}
+
+/**
+ * Show a tree built by the pipeline. The first tree of a thread selects the
+ * root and fits the view; later ones keep selection, collapsed branches and
+ * pan/zoom.
+ * @returns {Promise<boolean>} True if the root could be built.
+ */
+async function showThreadTree(id, tree) {
+  const first = !state.tree;
   state.rootId = id;
-  state.tree = buildTree(id, state);
+  if (first) {
+    state.selectedId = id;
+    loadThreadBookmarks(id);
+    loadThreadReads(id);
+  }
+  const ok = await rebuildTree(tree, { fadeIn: first });
+  if (ok && first) fitToView();
+  return ok;
+}
+
+/**
+ * Swap in a tree built by the pipeline from the current `state.nodes`,
+ * keeping selection, collapsed branches, sentiment tags and the current view.
+ * The selected node stays at the same screen position even if the layout
+ * shifts around it.
+ * @param {Object|null} tree - Packed tree from the pipeline.
+ * @param {Object} [options] - `fadeIn` animates the render.
+ * @returns {Promise<boolean>} True if the root could be built.
+ */
+async function rebuildTree(tree, options = {}) {
+  const anchorId = state.selectedId ?? state.rootId;
+  const anchorBefore = state.layout.get(anchorId);
+  applyTree(state, tree);
+  treeVersion += 1;
+  state.layout.clear();
+  updateMissingAction();
   if (!state.tree) return false;
 
-  computeDescendants(state.tree, state);
   assignLaneColors(state);
-  state.selectedId = id;
-  computeFocus(state, id);
-  renderGraph();
-  fitToView();
+  for (const id of state.collapsed) {
+    if (!state.treeIndex.has(id)) state.collapsed.delete(id);
+  }
+  if (!state.treeIndex.has(state.selectedId)) {
+    state.selectedId = state.rootId;
+  }
+  updateFilter();
+  if (
+    state.filter?.mode === "hide" &&
+    !state.filter.visible.has(state.selectedId)
+  ) {
+    state.selectedId = state.rootId;
+  }
+  computeFocus(state, state.selectedId);
+  updateSpotlight();
+  updateDebates();
+  updateSearch();
+  if (exchange?.rootId !== state.rootId) exchange = null;
+  renderExchangePanel(el, state, exchange);
+  await renderGraph({ fadeIn: options.fadeIn ?? false });
+  const anchorAfter = state.layout.get(anchorId);
+  if (anchorBefore && anchorAfter) {
+    state.view.tx += (anchorBefore.cx - anchorAfter.cx) * state.view.scale;
+    state.view.ty += (anchorBefore.cy - anchorAfter.cy) * state.view.scale;
+  }
+  applyTransform();
   updateStats(state, el);
   updateDetails(state, el);
   updateBranchView(state, el, { limit: 200 });
-  if (sourceLabel) setStatus(el, sourceLabel);
+  syncReplayBar();
   return true;
 }
 
+async function retryMissing() {
+  if (!state.rootId || !state.missing.size) return;
+  if (state.snapshot) {
+    setStatus(el, "Switch to the latest snapshot to retry missing items.");
+    return;
+  }
+  const rootId = state.rootId;
+  const controller = beginLoad();
+  const { signal } = controller;
+  const requested = Array.from(state.missing);
+  setStatus(el, `Retrying ${requested.length} missing items...`);
+
+  try {
+    const result = await pipeline.retry(rootId, requested, {
+      sourceId: getActiveSource().id,
+      signal,
+      onProgress: (count) => {
+        setStatus(el, `Recovered ${count} items...`);
+      },
+    });
+    if (state.rootId !== rootId) return;
+    for (const item of result.items) state.nodes.set(item.id, item);
+    state.missing.clear();
+    for (const id of result.missing) state.missing.add(id);
+    await rebuildTree(result.tree);
+    const recovered = requested.length - result.missing.length;
+    setStatus(
+      el,
+      result.missing.length
+        ? `Recovered ${recovered} items; ${result.missing.length} still missing.`
+        : `Recovered ${recovered} items.`,
+    );
+    await cacheThread(String(rootId), Array.from(state.nodes.values()), {
+      missing: result.missing,
+    });
+  } catch (error) {
+    if (isAbortError(error)) return;
+    console.error(error);
+    setStatus(el, "Retry failed.");
+  } finally {
+    endLoad(controller);
+  }
+}
+
 function selectNode(id) {
   state.selectedId = id;
+  markRead([id], { render: false });
   computeFocus(state, id);
   renderGraph();
   applyTransform();
   updateDetails(state, el);
   updateBranchView(state, el, { limit: 200 });
+  updateSearchCount();
+  renderSpotlightPanel(el, state, spotlightSummary);
+  renderExchangePanel(el, state, exchange);
+  renderDebatePanel(el, state, debates);
+  writeRoute();
 }
 
 function toggleCollapse(id) {
@@ -482,171 +801,1719 @@ function toggleCollapse(id) {
   applyTransform();
   updateDetails(state, el);
   updateBranchView(state, el, { limit: 200 });
+  writeRoute();
 }
 
-async function loadFrontpage(options = {}) {
-  if (!el.frontpageKind || !el.frontpageLimit) return;
-  const kind = el.frontpageKind.value || "top";
-  const limit = Math.max(
-    5,
-    Math.min(60, Number(el.frontpageLimit.value) || 30),
-  );
-  el.frontpageLimit.value = String(limit);
-
-  state.activeLayout = "frontpage";
-  if (el.layoutSelect) el.layoutSelect.value = "frontpage";
-  state.view.scale = 1;
-  state.view.tx = 0;
-  state.view.ty = 0;
-  state.view.detailBucket = 0;
-  setNeedsFit(true);
-  setStatus(el, `Loading ${kind} stories...`);
-
-  if (!options.forceRefresh) {
-    const cached = await getCachedFrontpage(kind);
-    if (cached?.items?.length) {
-      setFrontpageItems(cached.items.slice(0, limit));
-      clearPreviews();
-      renderFrontpageMosaic(getFrontpageContext());
-      const age = formatAge(cached.fetchedAt);
-      setStatus(el, `Frontpage cache (${age}).`);
-      loadFrontpagePreviews(frontpageItems, scheduleFrontpageRender);
-      return;
-    }
+/**
+ * Select a node of the open thread, expanding any collapsed ancestors, and
+ * center it on screen.
+ * @returns {Promise<boolean>} False if the node is not in the thread.
+ */
+async function revealNode(id) {
+  const node = state.treeIndex.get(id);
+  if (!node) return false;
+  for (let parentId = node.parentId; parentId !== null;) {
+    state.collapsed.delete(parentId);
+    parentId = state.treeIndex.get(parentId)?.parentId ?? null;
   }
+  state.selectedId = id;
+  markRead([id], { render: false });
+  computeFocus(state, id);
+  await renderGraph();
+  centerOnNode(id);
+  updateDetails(state, el);
+  updateBranchView(state, el, { limit: 200 });
+  updateSearchCount();
+  renderSpotlightPanel(el, state, spotlightSummary);
+  renderExchangePanel(el, state, exchange);
+  renderDebatePanel(el, state, debates);
+  writeRoute();
+  return true;
+}
 
-  try {
-    const ids = await fetchStoryIds(kind);
-    if (!Array.isArray(ids) || !ids.length) {
-      setStatus(el, "No stories returned.");
-      return;
-    }
+/** Hits of the thread search in reading order. */
+let searchMatches = [];
 
-    const slice = ids.slice(0, limit);
-    const itemsMap = await fetchItemsByIds(slice, (count) => {
-      setStatus(el, `Loaded ${count}/${slice.length} stories...`);
-    });
+/** Hits of the thread search as a set, or null while the box is empty. */
+let searchHits = null;
 
-    const items = slice.map((id) => itemsMap.get(id)).filter(Boolean);
-    setFrontpageItems(items);
+/** Items of the author in the spotlight, with the people around them. */
+let spotlightSummary = null;
 
-    clearPreviews();
-    renderFrontpageMosaic(getFrontpageContext());
-    setStatus(el, `Loaded ${items.length} stories.`);
-    setCachedFrontpage(kind, items);
-    loadFrontpagePreviews(frontpageItems, scheduleFrontpageRender);
+/**
+ * Combine search hits, filter matches and the author spotlight into
+ * `state.highlight`; with several active only nodes that satisfy all of
+ * them stay in focus.
+ */
+function updateHighlight() {
+  const sets = [
+    searchHits,
+    state.filter?.matches,
+    spotlightSummary && new Set(spotlightSummary.ids),
+  ].filter(Boolean);
+  state.highlight = sets.length
+    ? sets.reduce(
+        (kept, set) => new Set(Array.from(kept).filter((id) => set.has(id))),
+      )
+    : null;
+}
+
+/**
+ * Re-run the thread search against the current tree and highlight its hits.
+ * Nodes hidden by the filter are skipped. Callers redraw.
+ */
+function updateSearch() {
+  if (!el.searchInput) return;
+  let matcher = null;
+  try {
+    matcher = compileSearch(el.searchInput.value, {
+      caseSensitive: el.searchCase?.checked,
+      regex: el.searchRegex?.checked,
+    });
   } catch (error) {
-    console.error(error);
-    setStatus(el, "Failed to load frontpage.");
+    searchMatches = [];
+    searchHits = null;
+    updateHighlight();
+    el.searchCount.textContent = "Invalid regex";
+    el.searchCount.title = error.message;
+    el.searchCount.classList.add("error");
+    return;
+  }
+  el.searchCount.title = "";
+  el.searchCount.classList.remove("error");
+  searchMatches = matcher ? findMatches(state, matcher) : [];
+  if (state.filter?.mode === "hide") {
+    searchMatches = searchMatches.filter((id) => state.filter.visible.has(id));
   }
+  searchHits = matcher ? new Set(searchMatches) : null;
+  updateHighlight();
+  updateSearchCount();
 }
 
-async function loadThread(options = {}) {
-  if (state.activeLayout === "frontpage") {
-    state.activeLayout = lastThreadLayout;
-    if (el.layoutSelect) el.layoutSelect.value = lastThreadLayout;
+function updateSearchCount() {
+  if (!el.searchCount || el.searchCount.classList.contains("error")) return;
+  const position = searchMatches.indexOf(state.selectedId);
+  if (!searchHits) {
+    el.searchCount.textContent = "";
+  } else if (!searchMatches.length) {
+    el.searchCount.textContent = "No matches";
+  } else if (position >= 0) {
+    el.searchCount.textContent = `${position + 1} of ${searchMatches.length}`;
+  } else {
+    el.searchCount.textContent = `${searchMatches.length} matches`;
   }
-  const id = parseInput(el.input.value) ?? DEFAULT_ID;
-  el.input.value = String(id);
+}
 
-  resetState();
-  state.activeLayout = el.layoutSelect.value || "sankey";
-  state.view.scale = 1;
-  state.view.tx = 0;
-  state.view.ty = 0;
+/** Select and center the next (or previous) search hit. */
+async function stepSearch(direction) {
+  if (!searchMatches.length || state.activeLayout === "frontpage") return;
+  const count = searchMatches.length;
+  const position = searchMatches.indexOf(state.selectedId);
+  const index =
+    position < 0
+      ? direction > 0
+        ? 0
+        : count - 1
+      : (position + direction + count) % count;
+  await revealNode(searchMatches[index]);
+}
 
-  el.graphLayer.innerHTML = "";
-  setStatus(el, "Loading thread...");
+/**
+ * Re-collect the spotlit author's items from the current tree and redraw the
+ * spotlight panel. Callers redraw the graph.
+ */
+function updateSpotlight() {
+  spotlightSummary =
+    state.spotlight && state.tree
+      ? summarizeAuthor(state, state.spotlight)
+      : null;
+  updateHighlight();
+  renderSpotlightPanel(el, state, spotlightSummary);
+}
 
-  const cached = await getCachedThread(String(id));
-  if (cached && cached.items && !options.forceRefresh) {
-    const age = formatAge(cached.fetchedAt);
-    const ok = hydrateFromItems(
-      id,
-      cached.items,
-      `Loaded from cache (${age}).`,
+/**
+ * Highlight everything an author wrote, or leave the spotlight.
+ * @param {string|null} author - HN username; null exits.
+ */
+function setSpotlight(author) {
+  if (!state.tree || state.activeLayout === "frontpage") return;
+  state.spotlight = author;
+  updateSpotlight();
+  if (spotlightSummary) {
+    const count = spotlightSummary.ids.length;
+    setStatus(
+      el,
+      `Spotlight on ${author}: ${count} item${count === 1 ? "" : "s"}.`,
     );
-    if (ok && !options.forceRefresh) {
-      return;
-    }
   }
+  renderGraph();
+  applyTransform();
+}
 
-  try {
-    await fetchAllItems(id, state, (count, done) => {
-      if (done) {
-        setStatus(el, `Loaded ${count} items.`);
-      } else {
-        setStatus(el, `Loaded ${count} items...`);
-      }
-    });
-  } catch (error) {
-    setStatus(el, "Unable to load data.");
-    console.error(error);
+/** Select and center the author's next (or previous) item by time. */
+async function stepSpotlight(direction) {
+  const ids = spotlightSummary?.ids || [];
+  if (!ids.length || state.activeLayout === "frontpage") return;
+  const count = ids.length;
+  const position = ids.indexOf(state.selectedId);
+  const index =
+    position < 0
+      ? direction > 0
+        ? 0
+        : count - 1
+      : (position + direction + count) % count;
+  await revealNode(ids[index]);
+}
+
+/** Back-and-forth chains of the open thread, longest first. */
+let debates = [];
+
+/** Fewest comments a chain needs to count as a debate. */
+let debateMinLength = DEBATES.minLength;
+
+/**
+ * Re-find debate chains in the current tree, mark them for the layouts and
+ * redraw the debate panel. Callers redraw the graph.
+ */
+function updateDebates() {
+  debates = state.tree ? findDebates(state, debateMinLength) : [];
+  state.debates = debates.length ? debateMarks(debates) : null;
+  renderDebatePanel(el, state, debates);
+}
+
+/** Author network edge listed in the exchange panel (`{rootId, authors, ids}`). */
+let exchange = null;
+
+/** List the replies behind an author network edge, in its direction. */
+function showExchange(edge) {
+  const [a, b] = edge.dataset.between.split("\n");
+  exchange = {
+    rootId: state.rootId,
+    authors: [a, b],
+    ids: edge.dataset.exchanges.split(",").map(Number),
+  };
+  renderExchangePanel(el, state, exchange);
+  setStatus(el, `${exchange.ids.length} replies from ${a} to ${b}.`);
+}
+
+/** Bumped whenever the set of nodes kept by a hiding filter changes. */
+let filterVersion = 0;
+
+function showFilterError(query, error) {
+  if (!el.filterError) return;
+  el.filterInput.setAttribute("aria-invalid", error ? "true" : "false");
+  el.filterError.hidden = !error;
+  if (!error) {
+    el.filterError.innerHTML = "";
     return;
   }
+  const { message, start, end } = error;
+  el.filterError.innerHTML = `${escapeHtml(message)}<code>${escapeHtml(query.slice(0, start))}<mark>${escapeHtml(query.slice(start, end))}</mark>${escapeHtml(query.slice(end))}</code>`;
+}
 
-  const items = Array.from(state.nodes.values());
-  if (!items.length) {
-    setStatus(el, "Thread not found.");
-    return;
+/**
+ * Re-evaluate the filter box against the current tree into `state.filter`.
+ * An invalid query shows an inline error and leaves the filter off. Callers
+ * redraw.
+ * @returns {Object|null} Parse error (`{message, start, end}`), if any.
+ */
+function updateFilter() {
+  if (!el.filterInput) return null;
+  const query = el.filterInput.value.trim();
+  const previous = state.filter;
+  const parsed = query ? parseQuery(query) : null;
+  showFilterError(query, parsed?.ok === false ? parsed.error : null);
+  if (!parsed?.ok || !state.tree) {
+    state.filter = null;
+  } else {
+    const matches = matchQuery(state, parsed.test);
+    state.filter = {
+      query,
+      mode: el.filterMode?.value === "hide" ? "hide" : "highlight",
+      matches,
+      visible: withAncestors(state, matches),
+    };
+  }
+  if (previous?.mode === "hide" || state.filter?.mode === "hide") {
+    filterVersion += 1;
   }
+  updateHighlight();
+  return parsed?.ok === false ? parsed.error : null;
+}
 
-  let diffMessage = "";
-  if (cached && cached.items) {
-    const diff = diffThreads(cached.items, items);
-    diffMessage = ` (+${diff.added} new, ${diff.updated} updated)`;
+/** Apply the filter box to the open thread and redraw. */
+async function applyFilter() {
+  const error = updateFilter();
+  if (error) {
+    el.filterInput.focus();
+    el.filterInput.setSelectionRange(error.start, error.end);
+  }
+  if (!state.tree || state.activeLayout === "frontpage") return;
+  if (state.filter) {
+    const total = state.treeIndex.size;
+    setStatus(
+      el,
+      `Filter: ${state.filter.matches.size} of ${total} items match.`,
+    );
+  }
+  if (
+    state.filter?.mode === "hide" &&
+    !state.filter.visible.has(state.selectedId)
+  ) {
+    state.selectedId = state.rootId;
+    computeFocus(state, state.selectedId);
+    updateDetails(state, el);
   }
+  updateSearch();
+  await renderGraph();
+  applyTransform();
+}
 
-  await setCachedThread(String(id), items);
-  hydrateFromItems(id, items, `Thread loaded.${diffMessage}`);
+async function refreshSavedFilters() {
+  if (!el.filterSaved) return;
+  const filters = await listSavedFilters();
+  const current = el.filterInput.value.trim();
+  el.filterSaved.innerHTML = [
+    `<option value="">—</option>`,
+    ...filters.map(
+      (entry) =>
+        `<option value="${escapeHtml(entry.name)}" data-query="${escapeHtml(entry.query)}"${entry.query === current ? " selected" : ""}>${escapeHtml(entry.name)}</option>`,
+    ),
+  ].join("");
 }
 
-function populateLayoutOptions() {
-  if (!el.layoutSelect) return;
-  el.layoutSelect.innerHTML = layoutList
-    .map((layout) => `<option value=\"${layout.id}\">${layout.label}</option>`)
-    .join("");
-  el.layoutSelect.value = state.activeLayout;
+async function saveCurrentFilter() {
+  const query = el.filterInput.value.trim();
+  if (!query) {
+    setStatus(el, "Type a filter before saving it.");
+    return;
+  }
+  const parsed = parseQuery(query);
+  if (!parsed.ok) {
+    showFilterError(query, parsed.error);
+    return;
+  }
+  const name = window.prompt("Save filter as", el.filterSaved.value || query);
+  if (!name?.trim()) return;
+  if (await saveFilter(name.trim(), query)) {
+    setStatus(el, `Saved filter "${name.trim()}".`);
+  }
+  await refreshSavedFilters();
 }
 
-function setupControls() {
-  const setFrontpageControlsEnabled = (enabled) => {
-    if (el.frontpageKind) el.frontpageKind.disabled = !enabled;
-    if (el.frontpageLimit) el.frontpageLimit.disabled = !enabled;
-    if (el.frontpageRefresh) el.frontpageRefresh.disabled = !enabled;
-  };
+async function deleteSelectedFilter() {
+  const name = el.filterSaved.value;
+  if (!name) {
+    setStatus(el, "Pick a saved filter to delete.");
+    return;
+  }
+  if (await deleteSavedFilter(name)) {
+    setStatus(el, `Deleted filter "${name}".`);
+  }
+  await refreshSavedFilters();
+}
 
-  el.loadBtn.addEventListener("click", () => {
-    loadThread();
-  });
+/** Reads not yet written to IndexedDB, with the thread they belong to. */
+let pendingReads = null;
+let readSaveTimer = 0;
+
+function flushReads() {
+  clearTimeout(readSaveTimer);
+  readSaveTimer = 0;
+  if (!pendingReads) return;
+  const { rootId, ids } = pendingReads;
+  pendingReads = null;
+  addReadIds(rootId, Array.from(ids));
+}
 
-  if (el.frontpageRefresh) {
-    el.frontpageRefresh.addEventListener("click", () => {
-      loadFrontpage({ forceRefresh: true });
-    });
+/**
+ * Mark comments of the open thread as read and queue the write.
+ * @param {number[]} ids - Item IDs; already read ones are ignored.
+ * @param {Object} [options] - `render: false` when the caller redraws.
+ */
+function markRead(ids, options = {}) {
+  const unread = ids.filter((id) => isUnread(state, id));
+  if (!unread.length) return;
+  if (pendingReads && pendingReads.rootId !== state.rootId) flushReads();
+  pendingReads ??= { rootId: state.rootId, ids: new Set() };
+  for (const id of unread) {
+    state.read.add(id);
+    pendingReads.ids.add(id);
+  }
+  clearTimeout(readSaveTimer);
+  readSaveTimer = setTimeout(flushReads, READS.saveDelay);
+  updateStats(state, el);
+  if (options.render !== false) {
+    renderGraph();
+    applyTransform();
   }
+}
 
-  if (el.frontpageKind) {
-    el.frontpageKind.addEventListener("change", () => {
-      if (state.activeLayout === "frontpage") {
-        loadFrontpage({ forceRefresh: true });
-      }
-    });
+/** Read the open thread's read set and redraw unread styling. */
+async function loadThreadReads(rootId) {
+  const read = await loadReadIds(rootId);
+  if (state.rootId !== rootId) return;
+  if (pendingReads?.rootId === rootId) {
+    for (const id of pendingReads.ids) read.add(id);
   }
+  state.read = read;
+  if (!state.tree || state.activeLayout === "frontpage") return;
+  renderGraph();
+  applyTransform();
+  updateStats(state, el);
+  updateBranchView(state, el, { limit: 200 });
+}
 
-  if (el.refreshBtn) {
-    el.refreshBtn.addEventListener("click", () => {
-      loadThread({ forceRefresh: true });
-    });
+/** Select and center the next (or previous) unread comment. */
+async function goToUnread(direction) {
+  if (!state.tree || state.activeLayout === "frontpage") return;
+  const id = findUnread(state, state.selectedId, direction);
+  if (id === null) {
+    setStatus(el, state.read ? "No unread comments." : "Read state loading.");
+    return;
   }
+  await revealNode(id);
+}
 
-  el.input.addEventListener("keydown", (event) => {
-    if (event.key === "Enter") {
-      loadThread();
+/** Read the open thread's bookmarks and redraw their badges. */
+async function loadThreadBookmarks(rootId) {
+  const bookmarks = await listBookmarks(rootId);
+  if (state.rootId !== rootId) return;
+  state.bookmarks.clear();
+  for (const bookmark of bookmarks) state.bookmarks.set(bookmark.id, bookmark);
+  if (!state.tree || state.activeLayout === "frontpage") return;
+  renderGraph();
+  applyTransform();
+  updateDetails(state, el);
+}
+
+/** Redraw badges and the detail panel after a bookmark changed. */
+function showBookmarkChange() {
+  renderGraph();
+  applyTransform();
+  updateDetails(state, el);
+  refreshBookmarkPanel(el, state.rootId);
+}
+
+/** Bookmark the selected comment, or remove its bookmark. */
+async function toggleBookmark() {
+  const id = state.selectedId;
+  const item = state.nodes.get(id);
+  if (!item || !state.rootId) return;
+  if (state.bookmarks.has(id)) {
+    if (!(await deleteBookmark(id))) {
+      setStatus(el, "Could not remove the bookmark.");
+      return;
     }
+    state.bookmarks.delete(id);
+    setStatus(el, `Removed bookmark on #${id}.`);
+    showBookmarkChange();
+    return;
+  }
+  const bookmark = await saveBookmark({
+    id,
+    rootId: state.rootId,
+    threadTitle: state.nodes.get(state.rootId)?.title || "",
+    author: item.by || "anonymous",
+    snippet: snippetFromItem(item, ""),
+    note: "",
+  });
+  if (!bookmark) {
+    setStatus(el, "Could not save the bookmark.");
+    return;
+  }
+  state.bookmarks.set(id, bookmark);
+  setStatus(el, `Bookmarked #${id}.`);
+  showBookmarkChange();
+  el.bookmarkNote?.focus();
+}
+
+async function saveBookmarkNote() {
+  const bookmark = state.bookmarks.get(state.selectedId);
+  if (!bookmark) return;
+  const note = el.bookmarkNote.value.trim();
+  if (note === bookmark.note) return;
+  const saved = await saveBookmark({ ...bookmark, note });
+  if (!saved) {
+    setStatus(el, "Could not save the note.");
+    return;
+  }
+  state.bookmarks.set(saved.id, saved);
+  showBookmarkChange();
+}
+
+/**
+ * Jump to a comment of any thread (a bookmark or a cross-thread search hit),
+ * loading its thread first if needed.
+ */
+async function openComment(rootId, id) {
+  if (state.activeLayout === "frontpage") {
+    state.activeLayout = lastThreadLayout;
+    el.layoutSelect.value = lastThreadLayout;
+    setFrontpageControlsEnabled(false);
+    syncReplayBar();
+  }
+  if (state.rootId !== rootId || !state.tree || loadBusy) {
+    el.input.value = String(rootId);
+    await loadThread();
+  }
+  if (state.rootId !== rootId || !state.tree) return;
+  if (!(await revealNode(id))) {
+    setStatus(el, `Comment #${id} is no longer in this thread.`);
+  }
+}
+
+/** Route describing what is on screen, or null before a thread is shown. */
+function currentRoute() {
+  if (state.activeLayout === "frontpage") {
+    return { layout: "frontpage", feed: el.frontpageKind?.value || "top" };
+  }
+  if (!state.rootId || !state.tree) return null;
+  return {
+    thread: state.rootId,
+    layout: state.activeLayout,
+    selected: state.selectedId,
+    collapsed: Array.from(state.collapsed),
+    view: state.view,
+  };
+}
+
+let routeTimer = 0;
+
+/**
+ * Mirror the current view in the URL hash. Another thread, feed or selection
+ * adds a history entry; layout, collapsed branches and pan/zoom update the
+ * current one.
+ * @param {Object} [options] - `replace` never adds an entry.
+ */
+function writeRoute(options = {}) {
+  clearTimeout(routeTimer);
+  routeTimer = 0;
+  const route = currentRoute();
+  if (!route) return;
+  const hash = formatRoute(route);
+  if (hash === location.hash) return;
+  const url = `${location.pathname}${location.search}${hash}`;
+  if (
+    !options.replace &&
+    location.hash &&
+    isNewEntry(parseRoute(location.hash), route)
+  ) {
+    history.pushState(null, "", url);
+  } else {
+    history.replaceState(null, "", url);
+  }
+}
+
+/** Write pan and zoom to the URL once the user stops moving the view. */
+function scheduleRouteWrite() {
+  clearTimeout(routeTimer);
+  routeTimer = setTimeout(writeRoute, ROUTE_WRITE_DELAY);
+}
+
+/**
+ * Apply the selection, collapsed branches and pan/zoom of a route to the
+ * open thread. Without a saved view the layout is fitted to the screen.
+ */
+async function restoreView(route) {
+  state.collapsed.clear();
+  for (const id of route.collapsed) {
+    if (state.treeIndex.has(id)) state.collapsed.add(id);
+  }
+  state.selectedId = state.treeIndex.has(route.selected)
+    ? route.selected
+    : state.rootId;
+  computeFocus(state, state.selectedId);
+  if (route.view) {
+    const step = getLayout(state.activeLayout).detailScaleStep;
+    state.view.scale = clamp(route.view.scale, 0.2, 3);
+    state.view.tx = route.view.tx;
+    state.view.ty = route.view.ty;
+    state.view.detailBucket = step ? Math.floor(state.view.scale / step) : 0;
+  }
+  await renderGraph();
+  if (route.view) {
+    applyTransform();
+  } else {
+    fitToView();
+  }
+  updateDetails(state, el);
+  updateBranchView(state, el, { limit: 200 });
+  writeRoute({ replace: true });
+}
+
+/**
+ * Show the view a route describes: a frontpage feed, or a thread with its
+ * layout, selection, collapsed branches and pan/zoom. The open thread is
+ * restored in place; another thread is loaded first.
+ */
+async function applyRoute(route) {
+  clearTimeout(routeTimer);
+  if (!route.thread) {
+    if (route.feed && el.frontpageKind) el.frontpageKind.value = route.feed;
+    if (el.layoutSelect) el.layoutSelect.value = "frontpage";
+    setFrontpageControlsEnabled(true);
+    loadFrontpage();
+    return;
+  }
+  const layout =
+    route.layout !== "frontpage" &&
+    layoutList.some((entry) => entry.id === route.layout)
+      ? route.layout
+      : lastThreadLayout;
+  lastThreadLayout = layout;
+  el.layoutSelect.value = layout;
+  setFrontpageControlsEnabled(false);
+  if (state.rootId === route.thread && state.tree && !loadBusy) {
+    state.activeLayout = layout;
+    syncReplayBar();
+    await restoreView(route);
+    return;
+  }
+  el.input.value = String(route.thread);
+  loadThread({ route });
+}
+
+/** Timer for the next partial render of a thread that is still loading. */
+let partialRenderTimer = 0;
+
+/**
+ * Render whatever part of a loading thread has arrived so far. The first
+ * partial render fits the view; later ones keep the user's selection,
+ * collapsed branches and pan/zoom. Only the item-by-item Firebase walk gets
+ * here: Algolia delivers the thread in one response.
+ */
+async function renderPartialThread(id, signal) {
+  const snapshot = await pipeline.snapshot();
+  if (signal.aborted || !state.loading) return;
+  for (const item of snapshot.items) {
+    state.nodes.set(item.id, item);
+  }
+  if (!state.nodes.has(id)) return;
+  await showThreadTree(id, snapshot.tree);
+}
+
+function schedulePartialRender(id, signal) {
+  if (partialRenderTimer) return;
+  partialRenderTimer = setTimeout(() => {
+    partialRenderTimer = 0;
+    if (signal.aborted || !state.loading) return;
+    renderPartialThread(id, signal).catch((error) => {
+      console.warn("Partial render failed", error);
+    });
+  }, PARTIAL_RENDER_INTERVAL);
+}
+
+function cancelPartialRender() {
+  clearTimeout(partialRenderTimer);
+  partialRenderTimer = 0;
+}
+
+/**
+ * Save a thread to the cache and its snapshot history, then redraw the cache
+ * panel and snapshot pickers. `options.snapshot: false` skips the history.
+ */
+async function cacheThread(id, items, options = {}) {
+  await setCachedThread(id, items, options);
+  if (options.snapshot !== false) await recordSnapshot(id, items, options);
+  await refreshCachePanel(el, state.rootId);
+  await refreshCacheSearchPanel(el, state.rootId);
+  await refreshSnapshotPicker();
+}
+
+function formatSnapshotLabel(snapshot) {
+  const time = new Date(snapshot.takenAt).toLocaleString();
+  const changes = snapshot.changes
+    ? ` (+${snapshot.changes.added}, ${snapshot.changes.updated} updated, -${snapshot.changes.removed})`
+    : "";
+  return `${time} · ${snapshot.itemCount} items${changes}`;
+}
+
+/** Fill the snapshot and compare pickers for the thread on screen. */
+async function refreshSnapshotPicker() {
+  if (!el.snapshotSelect || !el.compareSelect) return;
+  const rootId = state.rootId;
+  const snapshots = rootId ? await listSnapshots(rootId) : [];
+  if (state.rootId !== rootId) return;
+  const options = snapshots
+    .map(
+      (snapshot) =>
+        `<option value="${escapeHtml(snapshot.key)}">${escapeHtml(formatSnapshotLabel(snapshot))}</option>`,
+    )
+    .join("");
+  el.snapshotSelect.innerHTML = `<option value="">Latest</option>${options}`;
+  el.compareSelect.innerHTML = `<option value="">None</option>${options}`;
+  el.snapshotSelect.value = state.snapshot?.key ?? "";
+  el.compareSelect.value = state.compare?.key ?? "";
+}
+
+/** Put another version of the open thread on screen, keeping the view. */
+async function swapItems(items, missing) {
+  const { tree } = await pipeline.hydrate(state.rootId, items, missing);
+  state.nodes.clear();
+  for (const item of items) {
+    state.nodes.set(item.id, item);
+  }
+  state.missing.clear();
+  for (const missingId of missing) {
+    state.missing.add(missingId);
+  }
+  await rebuildTree(tree);
+}
+
+/**
+ * Mark what differs between a snapshot and the version on screen.
+ * @param {string} [key] - Snapshot to compare with; empty clears the marks.
+ * @returns {Promise<Object|null>} The new `state.compare`.
+ */
+async function applyComparison(key) {
+  const id = state.rootId;
+  const snapshot = key && id ? await loadSnapshot(id, key) : null;
+  if (state.rootId !== id) return null;
+  if (snapshot) {
+    const diff = compareThreads(
+      snapshot.items,
+      Array.from(state.nodes.values()),
+    );
+    state.compare = {
+      key,
+      takenAt: snapshot.takenAt,
+      added: new Set(diff.added),
+      updated: new Set(diff.updated),
+      removed: diff.removed,
+    };
+  } else {
+    state.compare = null;
+  }
+  if (el.compareSelect) el.compareSelect.value = state.compare?.key ?? "";
+  if (state.tree && state.activeLayout !== "frontpage") {
+    renderGraph({ fadeIn: false });
+    applyTransform();
+  }
+  return state.compare;
+}
+
+/**
+ * Show a past snapshot of the open thread, or the latest cached version when
+ * `key` is empty. Selection, collapsed branches and pan/zoom are kept;
+ * live-follow polls are skipped until the latest version is back.
+ * @param {string} key - Snapshot key from `listSnapshots`, or "".
+ */
+async function showSnapshot(key) {
+  const id = state.rootId;
+  if (!id || !state.tree || state.activeLayout === "frontpage") return;
+  const controller = beginLoad();
+  const { signal } = controller;
+
+  try {
+    const snapshot = key
+      ? await loadSnapshot(id, key)
+      : await getCachedThread(String(id), { touch: false });
+    if (signal.aborted || state.rootId !== id) return;
+    if (!snapshot) {
+      setStatus(el, "Snapshot unavailable.");
+      return;
+    }
+    state.snapshot = key ? { key, takenAt: snapshot.takenAt } : null;
+    await swapItems(snapshot.items, snapshot.missing || []);
+    if (signal.aborted) return;
+    if (state.compare) await applyComparison(state.compare.key);
+    setStatus(
+      el,
+      key
+        ? `Showing snapshot from ${formatAge(snapshot.takenAt)} (${snapshot.items.length} items).`
+        : "Showing the latest version.",
+    );
+  } catch (error) {
+    if (isAbortError(error)) return;
+    console.error(error);
+    setStatus(el, "Unable to show snapshot.");
+  } finally {
+    endLoad(controller);
+    if (el.snapshotSelect) el.snapshotSelect.value = state.snapshot?.key ?? "";
+  }
+}
+
+/** Controller of the most recent thread or frontpage load. */
+let activeLoad = null;
+let loadBusy = false;
+
+/** Controller of the live-follow poll in flight, if any. */
+let followPoll = null;
+
+function setLoadBusy(busy) {
+  loadBusy = busy;
+  if (el.cancelBtn) el.cancelBtn.hidden = !busy;
+}
+
+/**
+ * Start a load, aborting whatever load (and preview work) it supersedes.
+ * @returns {AbortController} Controller for the new load.
+ */
+function beginLoad() {
+  if (activeLoad) activeLoad.abort();
+  if (followPoll) followPoll.abort();
+  cancelPartialRender();
+  offerSync(null);
+  activeLoad = new AbortController();
+  setLoadBusy(true);
+  return activeLoad;
+}
+
+function endLoad(controller) {
+  if (activeLoad === controller) setLoadBusy(false);
+}
+
+function cancelLoad() {
+  if (!activeLoad || activeLoad.signal.aborted) return;
+  activeLoad.abort();
+  setLoadBusy(false);
+  setStatus(el, "Load cancelled.");
+}
+
+async function loadFrontpage(options = {}) {
+  if (!el.frontpageKind || !el.frontpageLimit) return;
+  const kind = el.frontpageKind.value || "top";
+  const limit = Math.max(
+    5,
+    Math.min(60, Number(el.frontpageLimit.value) || 30),
+  );
+  el.frontpageLimit.value = String(limit);
+
+  const controller = beginLoad();
+  const { signal } = controller;
+  state.activeLayout = "frontpage";
+  if (el.layoutSelect) el.layoutSelect.value = "frontpage";
+  syncReplayBar();
+  state.view.scale = 1;
+  state.view.tx = 0;
+  state.view.ty = 0;
+  state.view.detailBucket = 0;
+  setNeedsFit(true);
+  writeRoute();
+  setStatus(el, `Loading ${kind} stories...`);
+
+  const showCached = (cached, label) => {
+    setFrontpageItems(cached.items.slice(0, limit));
+    clearPreviews();
+    renderFrontpageMosaic(getFrontpageContext());
+    setStatus(el, `${label} (${formatAge(cached.fetchedAt)}).`);
+    loadFrontpagePreviews(frontpageItems, scheduleFrontpageRender, {
+      signal,
+    });
+  };
+
+  try {
+    if (!options.forceRefresh || isOffline()) {
+      const cached = await getCachedFrontpage(kind);
+      if (signal.aborted) return;
+      if (cached?.items?.length) {
+        showCached(
+          cached,
+          isOffline() ? "Offline; frontpage cache" : "Frontpage cache",
+        );
+        return;
+      }
+    }
+
+    const fresh = Boolean(options.forceRefresh);
+    const ids = await fetchStoryIds(kind, { signal, fresh });
+    if (!Array.isArray(ids) || !ids.length) {
+      setStatus(el, "No stories returned.");
+      return;
+    }
+
+    const slice = ids.slice(0, limit);
+    const itemsMap = await fetchItemsByIds(
+      slice,
+      (count) => {
+        setStatus(el, `Loaded ${count}/${slice.length} stories...`);
+      },
+      { signal, fresh },
+    );
+
+    const items = slice.map((id) => itemsMap.get(id)).filter(Boolean);
+    setFrontpageItems(items);
+
+    clearPreviews();
+    renderFrontpageMosaic(getFrontpageContext());
+    setStatus(el, `Loaded ${items.length} stories.`);
+    setCachedFrontpage(kind, items);
+    loadFrontpagePreviews(frontpageItems, scheduleFrontpageRender, {
+      signal,
+    });
+  } catch (error) {
+    if (isAbortError(error)) return;
+    console.error(error);
+    const cached = await getCachedFrontpage(kind);
+    if (signal.aborted) return;
+    if (cached?.items?.length) {
+      showCached(cached, "Network unavailable; frontpage cache");
+      return;
+    }
+    setStatus(el, "Failed to load frontpage.");
+  } finally {
+    endLoad(controller);
+  }
+}
+
+async function loadThread(options = {}) {
+  if (state.activeLayout === "frontpage") {
+    state.activeLayout = lastThreadLayout;
+    if (el.layoutSelect) el.layoutSelect.value = lastThreadLayout;
+  }
+  const id = parseInput(el.input.value) ?? DEFAULT_ID;
+  el.input.value = String(id);
+
+  const controller = beginLoad();
+  const { signal } = controller;
+  clearTimeout(routeTimer);
+  stopReplay();
+  resetState();
+  updateMissingAction();
+  refreshSnapshotPicker();
+  syncReplayBar();
+  state.activeLayout = el.layoutSelect.value || "sankey";
+  state.view.scale = 1;
+  state.view.tx = 0;
+  state.view.ty = 0;
+
+  el.graphLayer.innerHTML = "";
+  setStatus(el, "Loading thread...");
+
+  try {
+    const cached = await getCachedThread(String(id));
+    if (signal.aborted) return;
+    const showCached = async (label) => {
+      const ok = await hydrateFromItems(id, cached.items, {
+        label: `${label} (${formatAge(cached.fetchedAt)}).`,
+        missing: cached.missing,
+        signal,
+      });
+      if (ok && !signal.aborted) refreshSnapshotPicker();
+      return ok;
+    };
+    if (cached?.items && isOffline()) {
+      await showCached("Offline; loaded from cache");
+      return;
+    }
+    if (
+      cached &&
+      cached.items &&
+      cached.complete !== false &&
+      !options.forceRefresh
+    ) {
+      if (await showCached("Loaded from cache")) return;
+      if (signal.aborted) return;
+    }
+
+    let sourceNote = "";
+    let result = null;
+    state.loading = true;
+    try {
+      result = await pipeline.load(id, {
+        sourceId: getActiveSource().id,
+        fresh: Boolean(options.forceRefresh),
+        signal,
+        onProgress: (count, done) => {
+          if (done) {
+            setStatus(el, `Loaded ${count} items.`);
+          } else {
+            setStatus(el, `Loaded ${count} items...`);
+            schedulePartialRender(id, signal);
+          }
+        },
+      });
+      if (result.source !== getActiveSource().id) {
+        sourceNote = ` Fell back to ${getSource(result.source).label}.`;
+      }
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error(error);
+      if (cached?.items) {
+        await showCached("Network unavailable; showing cached copy");
+        return;
+      }
+      setStatus(el, "Unable to load data.");
+      return;
+    } finally {
+      if (activeLoad === controller) {
+        state.loading = false;
+        cancelPartialRender();
+      }
+    }
+
+    if (signal.aborted) return;
+    const { items, missing } = result;
+    if (!items.length) {
+      setStatus(el, "Thread not found.");
+      return;
+    }
+
+    let diffMessage = "";
+    if (cached && cached.items) {
+      const diff = diffThreads(cached.items, items);
+      diffMessage = ` (+${diff.added} new, ${diff.updated} updated)`;
+    }
+
+    const missingNote = missing.length
+      ? ` ${missing.length} items could not be loaded.`
+      : "";
+    await cacheThread(String(id), items, { missing });
+    if (signal.aborted) return;
+    state.nodes.clear();
+    for (const item of items) {
+      state.nodes.set(item.id, item);
+    }
+    state.missing.clear();
+    for (const missingId of missing) {
+      state.missing.add(missingId);
+    }
+    if (await showThreadTree(id, result.tree)) {
+      setStatus(el, `Thread loaded.${diffMessage}${sourceNote}${missingNote}`);
+    }
+  } finally {
+    endLoad(controller);
+    if (!signal.aborted && state.rootId === id && state.tree) {
+      if (options.route) {
+        await restoreView(options.route);
+      } else {
+        writeRoute();
+      }
+    }
+  }
+}
+
+/**
+ * Swap a refreshed item list into state and rebuild in place. A past
+ * snapshot on screen gives way to the refreshed version.
+ * @param {Array} previous - Items before the refresh.
+ * @param {Object} result - Result of `pipeline.refresh`.
+ * @returns {Promise<{added: number, updated: number}>} Change counts.
+ */
+async function applyThreadDelta(previous, result) {
+  const diff = diffThreads(previous, result.items);
+  state.snapshot = null;
+  state.nodes.clear();
+  for (const item of result.items) {
+    state.nodes.set(item.id, item);
+  }
+  for (const removedId of result.removed) {
+    state.sentiment.delete(removedId);
+  }
+  state.missing.clear();
+  for (const missingId of result.missing) {
+    state.missing.add(missingId);
+  }
+  await rebuildTree(result.tree);
+  if (state.compare) await applyComparison(state.compare.key);
+  return diff;
+}
+
+/**
+ * Flag items as new for a few seconds so layouts can highlight them.
+ * @param {number[]} ids - Newly arrived item IDs.
+ */
+function markFresh(ids) {
+  if (!ids.length) return;
+  const rootId = state.rootId;
+  for (const id of ids) state.fresh.add(id);
+  setTimeout(() => {
+    for (const id of ids) state.fresh.delete(id);
+    if (state.rootId !== rootId || state.activeLayout === "frontpage") return;
+    renderGraph({ fadeIn: false });
+    applyTransform();
+  }, FOLLOW.freshDuration);
+}
+
+/** One live-follow poll: pull changes into the open thread, if any. */
+async function pollFollow() {
+  const id = state.rootId;
+  if (
+    !id ||
+    !state.tree ||
+    state.snapshot ||
+    state.activeLayout === "frontpage" ||
+    loadBusy ||
+    isOffline()
+  ) {
+    return;
+  }
+
+  followPoll = new AbortController();
+  const { signal } = followPoll;
+  const previous = Array.from(state.nodes.values());
+  const time = new Date().toLocaleTimeString();
+
+  try {
+    const result = await pipeline.refresh(id, {
+      sourceId: getActiveSource().id,
+      signal,
+      missing: Array.from(state.missing),
+    });
+    if (state.rootId !== id) return;
+
+    const diff = diffThreads(previous, result.items);
+    if (!diff.added && !diff.updated && !result.removed.length) {
+      setStatus(el, `Following: no changes (${time}).`);
+      return;
+    }
+
+    const known = new Set(previous.map((item) => item.id));
+    const added = result.items
+      .filter((item) => !known.has(item.id))
+      .map((item) => item.id);
+    for (const addedId of added) state.fresh.add(addedId);
+    await applyThreadDelta(previous, result);
+    markFresh(added);
+    setStatus(
+      el,
+      `Following: +${diff.added} new, ${diff.updated} updated (${time}).`,
+    );
+    await cacheThread(String(id), result.items, {
+      missing: result.missing,
+    });
+  } catch (error) {
+    if (isAbortError(error)) return;
+    throw error;
+  } finally {
+    followPoll = null;
+  }
+}
+
+const follower = createFollower(pollFollow, FOLLOW);
+
+function updateReplayLabel() {
+  if (!el.replayLabel) return;
+  const range = state.tree ? getTimeRange(state.nodes, state.rootId) : null;
+  if (!range) {
+    el.replayLabel.textContent = "";
+    return;
+  }
+  const cutoff = state.cutoff ?? range.end;
+  const total = state.nodes.size;
+  const shown =
+    state.cutoff === null ? total : countItemsUntil(state.nodes, cutoff);
+  el.replayLabel.textContent = `${formatTime(cutoff)} (+${formatElapsed(cutoff - range.start)}) · ${shown}/${total} items`;
+}
+
+/**
+ * Match the replay controls to the thread on screen. The slider spans story
+ * submission to the newest item; its right end means "no cutoff".
+ */
+function syncReplayBar() {
+  if (!el.replaySlider || !el.replayPlay) return;
+  const range =
+    state.tree && state.activeLayout !== "frontpage"
+      ? getTimeRange(state.nodes, state.rootId)
+      : null;
+  const enabled = Boolean(range && range.end > range.start);
+  el.replaySlider.disabled = !enabled;
+  el.replayPlay.disabled = !enabled;
+  if (enabled) {
+    el.replaySlider.min = String(range.start);
+    el.replaySlider.max = String(range.end);
+    el.replaySlider.value = String(state.cutoff ?? range.end);
+  } else {
+    stopReplay();
+  }
+  updateReplayLabel();
+}
+
+/** Replay render in flight; slider moves meanwhile only keep the newest. */
+let replayRender = null;
+let replayQueued = false;
+
+/** Cutoff the cutoff-dependent views were last computed for. */
+let viewsCutoff = null;
+
+/**
+ * Re-run what skips replies hidden by the replay cutoff (author spotlight,
+ * debate chains, search hits) after the cutoff moved. Callers redraw the
+ * graph.
+ */
+function updateCutoffViews() {
+  if (viewsCutoff === state.cutoff) return;
+  viewsCutoff = state.cutoff;
+  updateSpotlight();
+  updateDebates();
+  updateSearch();
+}
+
+async function renderReplayFrame() {
+  if (replayRender) {
+    replayQueued = true;
+    return;
+  }
+  updateCutoffViews();
+  replayRender = renderGraph({ fadeIn: false });
+  try {
+    await replayRender;
+    applyTransform();
+  } finally {
+    replayRender = null;
+  }
+  updateReplayLabel();
+  if (replayQueued) {
+    replayQueued = false;
+    renderReplayFrame();
+  }
+}
+
+const replayer = createReplayer((cutoff, done) => {
+  state.cutoff = done ? null : cutoff;
+  if (el.replaySlider) el.replaySlider.value = String(cutoff);
+  if (done && el.replayPlay) el.replayPlay.textContent = "Play";
+  renderReplayFrame();
+}, REPLAY);
+
+function stopReplay() {
+  replayer.stop();
+  if (el.replayPlay) el.replayPlay.textContent = "Play";
+}
+
+/** Start playback, from the story's submission if the slider is at the end. */
+function toggleReplay() {
+  if (replayer.playing) {
+    stopReplay();
+    return;
+  }
+  const range = getTimeRange(state.nodes, state.rootId);
+  if (!state.tree || !range) return;
+  const from = state.cutoff ?? range.start;
+  state.cutoff = from;
+  replayer.play(from, range.end);
+  if (el.replayPlay) el.replayPlay.textContent = "Pause";
+  renderReplayFrame();
+}
+
+/**
+ * Refresh the loaded thread incrementally, keeping selection, collapsed
+ * branches, sentiment tags and pan/zoom. Falls back to a full reload when a
+ * different thread (or none) is on screen.
+ */
+async function refreshThread() {
+  const id = parseInput(el.input.value) ?? DEFAULT_ID;
+  if (
+    state.activeLayout === "frontpage" ||
+    state.rootId !== id ||
+    !state.tree
+  ) {
+    loadThread({ forceRefresh: true });
+    return;
+  }
+
+  const controller = beginLoad();
+  const { signal } = controller;
+  const previous = Array.from(state.nodes.values());
+  setStatus(el, "Checking for changes...");
+
+  try {
+    const result = await pipeline.refresh(id, {
+      sourceId: getActiveSource().id,
+      signal,
+      missing: Array.from(state.missing),
+      onProgress: (count) => {
+        setStatus(el, `Refreshing: ${count} items fetched...`);
+      },
+    });
+    if (state.rootId !== id) return;
+
+    const diff = await applyThreadDelta(previous, result);
+    setStatus(
+      el,
+      `Refreshed: +${diff.added} new, ${diff.updated} updated, ${result.removed.length} removed (${result.requests} requests).`,
+    );
+    await cacheThread(String(id), result.items, {
+      missing: result.missing,
+    });
+  } catch (error) {
+    if (isAbortError(error)) return;
+    console.error(error);
+    setStatus(
+      el,
+      isOffline() ? "Offline; refresh unavailable." : "Refresh failed.",
+    );
+  } finally {
+    endLoad(controller);
+  }
+}
+
+async function exportThread() {
+  if (!state.rootId || !state.tree) {
+    setStatus(el, "Load a thread before exporting.");
+    return;
+  }
+  const format = el.exportFormat?.value || "json";
+  let llm = [];
+  try {
+    llm = await listLlmResults(state.rootId);
+  } catch (error) {
+    console.warn("LLM results unavailable for export", error);
+  }
+  const archive = buildArchive({
+    rootId: state.rootId,
+    items: Array.from(state.nodes.values()),
+    missing: Array.from(state.missing),
+    collapsed: state.collapsed,
+    sentiment: state.sentiment,
+    llm,
+  });
+  const name = downloadArchive(archive, format);
+  setStatus(el, `Exported ${archive.items.length} items to ${name}.`);
+}
+
+/**
+ * Load a thread archive file without touching the network. The thread is
+ * also written to the cache, unless a newer copy is already there, and its
+ * LLM results to the `llm` store.
+ * @param {File} file - Archive chosen by the user.
+ */
+async function importThread(file) {
+  let archive = null;
+  try {
+    archive = parseArchive(await file.text());
+  } catch (error) {
+    setStatus(el, `Import failed: ${error.message}`);
+    return;
+  }
+
+  const controller = beginLoad();
+  const { signal } = controller;
+  if (state.activeLayout === "frontpage") {
+    state.activeLayout = lastThreadLayout;
+    if (el.layoutSelect) el.layoutSelect.value = lastThreadLayout;
+  }
+  stopReplay();
+  resetState();
+  state.activeLayout = el.layoutSelect.value || "sankey";
+  el.input.value = String(archive.rootId);
+  el.graphLayer.innerHTML = "";
+
+  try {
+    const exported = archive.exportedAt
+      ? ` (exported ${formatAge(archive.exportedAt)})`
+      : "";
+    await hydrateFromItems(archive.rootId, archive.items, {
+      label: `Imported ${archive.items.length} items from ${file.name}${exported}.`,
+      missing: archive.missing,
+      collapsed: archive.collapsed,
+      sentiment: archive.sentiment,
+      signal,
+    });
+    if (signal.aborted) return;
+    writeRoute();
+    // An archive is a copy of some earlier state, not a new version, and
+    // never replaces a copy cached after it was exported.
+    const id = String(archive.rootId);
+    const cached = await getCachedThread(id, { touch: false });
+    const newer =
+      cached && (!archive.exportedAt || cached.fetchedAt > archive.exportedAt);
+    if (!newer) {
+      await cacheThread(id, archive.items, {
+        missing: archive.missing,
+        snapshot: false,
+      });
+    }
+    for (const entry of archive.llm) {
+      await saveLlmResult(entry);
+    }
+  } catch (error) {
+    if (isAbortError(error)) return;
+    console.warn("Archive import incomplete", error);
+    setStatus(el, `Import incomplete: ${error.message}`);
+  } finally {
+    endLoad(controller);
+  }
+}
+
+let reloadPrompted = false;
+
+/** Tell the user about database upgrades, other tabs and resets. */
+function handleDbEvent(event) {
+  if (event.type === "blocked") {
+    setStatus(el, "Waiting for other tabs to release the local database...");
+    return;
+  }
+  if (event.type === "reset") {
+    setStatus(el, "The local database was unreadable and has been reset.");
+    refreshCachePanel(el, state.rootId);
+    return;
+  }
+  if (reloadPrompted) return;
+  reloadPrompted = true;
+  setStatus(el, "A newer version is open in another tab; caching is off.");
+  if (confirm("HN Thread Atlas was updated in another tab. Reload this tab?")) {
+    location.reload();
+  }
+}
+
+/** Show the offline pill and tell the user when the connection returns. */
+let wasOffline = false;
+
+function handleConnectivity(offline) {
+  if (el.offlinePill) el.offlinePill.hidden = !offline;
+  if (offline) {
+    setStatus(el, "Offline. Cached threads and story lists stay available.");
+  } else if (wasOffline) {
+    setStatus(el, "Back online.");
+  }
+  wasOffline = offline;
+}
+
+/** Update announced by another tab, waiting for the user to pull it in. */
+let syncOffer = null;
+
+function offerSync(offer) {
+  syncOffer = offer;
+  if (!el.syncBtn) return;
+  el.syncBtn.hidden = !offer;
+  el.syncBtn.textContent = offer?.label ?? "";
+}
+
+/** Show the copy of the open thread that another tab just cached. */
+async function pullCachedThread(id) {
+  const controller = beginLoad();
+  const { signal } = controller;
+  try {
+    const cached = await getCachedThread(String(id), { touch: false });
+    if (signal.aborted || !cached || state.rootId !== id) return;
+    const diff = compareThreads(Array.from(state.nodes.values()), cached.items);
+    state.snapshot = null;
+    await swapItems(cached.items, cached.missing || []);
+    if (signal.aborted) return;
+    markFresh(diff.added);
+    if (state.compare) await applyComparison(state.compare.key);
+    refreshSnapshotPicker();
+    setStatus(
+      el,
+      `Synced from another tab: +${diff.added.length} new, ${diff.updated.length} updated, ${diff.removed.length} removed.`,
+    );
+  } finally {
+    endLoad(controller);
+  }
+}
+
+/** Re-apply sentiment tags another tab saved for the open thread. */
+async function pullSentiment(rootId, branchId) {
+  const entry = await loadLastLlmResult(rootId, branchId);
+  if (!entry?.sentiment || String(state.rootId) !== String(rootId)) return;
+  const tagged = applySentiments(entry.sentiment);
+  if (tagged)
+    setStatus(el, `Applied ${tagged} sentiment tags from another tab.`);
+}
+
+/** React to storage writes announced by other tabs; see `announce`. */
+function handleSyncMessage(message) {
+  const isOpen = (id) =>
+    state.tree &&
+    state.activeLayout !== "frontpage" &&
+    String(id) === String(state.rootId);
+
+  if (message.type === "thread" || message.type === "cache") {
+    refreshCachePanel(el, state.rootId);
+    refreshCacheSearchPanel(el, state.rootId);
+  }
+  if (message.type === "thread" && isOpen(message.id)) {
+    const id = state.rootId;
+    offerSync({
+      label: "Updated in another tab — show",
+      run: () => pullCachedThread(id),
+    });
+  } else if (message.type === "snapshot" && isOpen(message.rootId)) {
+    refreshSnapshotPicker();
+  } else if (
+    message.type === "frontpage" &&
+    state.activeLayout === "frontpage" &&
+    message.kind === el.frontpageKind?.value
+  ) {
+    offerSync({
+      label: "Frontpage updated in another tab — show",
+      run: () => loadFrontpage(),
+    });
+  } else if (message.type === "reads" && isOpen(message.rootId)) {
+    loadThreadReads(state.rootId);
+  } else if (message.type === "filters") {
+    refreshSavedFilters();
+  } else if (message.type === "bookmarks") {
+    refreshBookmarkPanel(el, state.rootId);
+    if (isOpen(message.rootId)) loadThreadBookmarks(state.rootId);
+  } else if (
+    message.type === "llm" &&
+    message.sentiment &&
+    isOpen(message.rootId)
+  ) {
+    pullSentiment(message.rootId, message.branchId).catch((error) => {
+      console.warn("Synced sentiment unavailable", error);
+    });
+  }
+}
+
+function populateLayoutOptions() {
+  if (!el.layoutSelect) return;
+  el.layoutSelect.innerHTML = layoutList
+    .map((layout) => `<option value=\"${layout.id}\">${layout.label}</option>`)
+    .join("");
+  el.layoutSelect.value = state.activeLayout;
+}
+
+function populateSourceOptions() {
+  if (!el.sourceSelect) return;
+  el.sourceSelect.innerHTML = sourceList
+    .map(
+      (source) =>
+        `<option value=\"${source.id}\" title=\"${source.description}\">${source.label}</option>`,
+    )
+    .join("");
+  el.sourceSelect.value = getActiveSource().id;
+}
+
+function setFrontpageControlsEnabled(enabled) {
+  if (el.frontpageKind) el.frontpageKind.disabled = !enabled;
+  if (el.frontpageLimit) el.frontpageLimit.disabled = !enabled;
+  if (el.frontpageRefresh) el.frontpageRefresh.disabled = !enabled;
+}
+
+function setupControls() {
+  el.loadBtn.addEventListener("click", () => {
+    loadThread();
+  });
+
+  if (el.frontpageRefresh) {
+    el.frontpageRefresh.addEventListener("click", () => {
+      loadFrontpage({ forceRefresh: true });
+    });
+  }
+
+  if (el.frontpageKind) {
+    el.frontpageKind.addEventListener("change", () => {
+      if (state.activeLayout === "frontpage") {
+        loadFrontpage({ forceRefresh: true });
+      }
+    });
+  }
+
+  if (el.cancelBtn) {
+    el.cancelBtn.addEventListener("click", cancelLoad);
+  }
+
+  if (el.retryMissingBtn) {
+    el.retryMissingBtn.addEventListener("click", () => {
+      retryMissing();
+    });
+  }
+
+  if (el.syncBtn) {
+    el.syncBtn.addEventListener("click", () => {
+      const offer = syncOffer;
+      offerSync(null);
+      offer?.run().catch((error) => {
+        console.warn("Sync failed", error);
+        setStatus(el, "Could not load the update from the other tab.");
+      });
+    });
+  }
+
+  if (el.sourceSelect) {
+    el.sourceSelect.addEventListener("change", () => {
+      setActiveSource(el.sourceSelect.value);
+    });
+  }
+
+  if (el.followInterval) el.followInterval.value = String(FOLLOW.interval);
+  if (el.followPause) el.followPause.checked = FOLLOW.pauseWhenHidden;
+
+  if (el.followToggle) {
+    el.followToggle.addEventListener("change", () => {
+      if (el.followToggle.checked) {
+        follower.start();
+      } else {
+        follower.stop();
+      }
+    });
+  }
+
+  if (el.followInterval) {
+    el.followInterval.addEventListener("change", () => {
+      const interval = Number(el.followInterval.value);
+      if (Number.isFinite(interval) && interval > 0) {
+        follower.configure({ interval });
+      }
+    });
+  }
+
+  if (el.followPause) {
+    el.followPause.addEventListener("change", () => {
+      follower.configure({ pauseWhenHidden: el.followPause.checked });
+    });
+  }
+
+  if (el.exportBtn) {
+    el.exportBtn.addEventListener("click", () => {
+      exportThread();
+    });
+  }
+
+  if (el.importBtn && el.importFile) {
+    el.importBtn.addEventListener("click", () => {
+      el.importFile.click();
+    });
+    el.importFile.addEventListener("change", () => {
+      const [file] = el.importFile.files;
+      el.importFile.value = "";
+      if (file) importThread(file);
+    });
+  }
+
+  if (el.snapshotSelect) {
+    el.snapshotSelect.addEventListener("change", () => {
+      showSnapshot(el.snapshotSelect.value);
+    });
+  }
+
+  if (el.compareSelect) {
+    el.compareSelect.addEventListener("change", async () => {
+      const compare = await applyComparison(el.compareSelect.value);
+      if (!compare) {
+        setStatus(el, "Comparison cleared.");
+        return;
+      }
+      setStatus(
+        el,
+        `Compared with ${new Date(compare.takenAt).toLocaleString()}: +${compare.added.size} new, ${compare.updated.size} updated, ${compare.removed.length} removed.`,
+      );
+    });
+  }
+
+  if (el.replaySpeed) el.replaySpeed.value = String(REPLAY.speed);
+
+  if (el.replayPlay) {
+    el.replayPlay.addEventListener("click", toggleReplay);
+  }
+
+  if (el.replaySlider) {
+    el.replaySlider.addEventListener("input", () => {
+      stopReplay();
+      const value = Number(el.replaySlider.value);
+      state.cutoff = value >= Number(el.replaySlider.max) ? null : value;
+      renderReplayFrame();
+    });
+  }
+
+  if (el.replaySpeed) {
+    el.replaySpeed.addEventListener("change", () => {
+      const speed = Number(el.replaySpeed.value);
+      if (Number.isFinite(speed) && speed > 0) replayer.configure({ speed });
+    });
+  }
+
+  setupCachePanel(el, {
+    onOpen: (id) => {
+      el.input.value = String(id);
+      loadThread();
+    },
+    onStatus: (message) => setStatus(el, message),
+    getCurrentId: () => state.rootId,
+  });
+
+  setupBookmarkPanel(el, {
+    onOpen: (rootId, id) => {
+      openComment(rootId, id);
+    },
+    onDelete: (id) => {
+      if (!state.bookmarks.delete(id)) return;
+      renderGraph();
+      applyTransform();
+      updateDetails(state, el);
+    },
+    getCurrentId: () => state.rootId,
+  });
+
+  setupExchangePanel(el, {
+    onOpen: (id) => {
+      revealNode(id);
+    },
+    onClose: () => {
+      exchange = null;
+      renderExchangePanel(el, state, exchange);
+    },
+  });
+
+  setupDebatePanel(el, {
+    onOpen: (index, atEnd) => {
+      const ids = debates[index]?.ids;
+      if (ids) revealNode(atEnd ? ids[ids.length - 1] : ids[0]);
+    },
+    onMinLength: (length) => {
+      debateMinLength = length;
+      updateDebates();
+      setStatus(
+        el,
+        `${debates.length} debate${debates.length === 1 ? "" : "s"} of ${length}+ comments.`,
+      );
+      renderGraph();
+      applyTransform();
+    },
+  });
+
+  setupSpotlightPanel(el, {
+    onOpen: (id) => {
+      revealNode(id);
+    },
+    onStep: (direction) => {
+      stepSpotlight(direction);
+    },
+    onClose: () => {
+      setSpotlight(null);
+    },
+  });
+
+  document.addEventListener("click", (event) => {
+    const link = event.target.closest("[data-author]");
+    if (!link) return;
+    event.preventDefault();
+    setSpotlight(link.dataset.author);
+  });
+
+  setupCacheSearchPanel(el, {
+    onOpen: (rootId, id) => {
+      openComment(rootId, id);
+    },
+    getCurrentId: () => state.rootId,
+  });
+
+  if (el.bookmarkBtn) {
+    el.bookmarkBtn.addEventListener("click", () => {
+      toggleBookmark();
+    });
+  }
+
+  if (el.bookmarkNote) {
+    el.bookmarkNote.addEventListener("change", () => {
+      saveBookmarkNote();
+    });
+  }
+
+  if (el.refreshBtn) {
+    el.refreshBtn.addEventListener("click", () => {
+      refreshThread();
+    });
+  }
+
+  el.input.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      loadThread();
+    }
+  });
+
+  el.layoutMetric?.addEventListener("change", async () => {
+    layoutMetrics.set(state.activeLayout, el.layoutMetric.value);
+    if (!state.tree || state.activeLayout === "frontpage") return;
+    await renderGraph();
+    fitToView();
   });
 
-  el.layoutSelect.addEventListener("change", () => {
+  el.layoutSelect.addEventListener("change", async () => {
     const nextLayout = el.layoutSelect.value;
     if (nextLayout === "frontpage") {
       state.activeLayout = "frontpage";
@@ -658,16 +2525,113 @@ function setupControls() {
     state.activeLayout = nextLayout;
     lastThreadLayout = nextLayout;
     setFrontpageControlsEnabled(false);
+    syncReplayBar();
     if (!state.tree) {
       loadThread();
       return;
     }
-    renderGraph();
+    await renderGraph();
+    fitToView();
+    writeRoute();
+  });
+
+  if (el.searchInput) {
+    const rerun = () => {
+      updateSearch();
+      if (!state.tree || state.activeLayout === "frontpage") return;
+      renderGraph();
+      applyTransform();
+    };
+    el.searchInput.addEventListener("input", rerun);
+    el.searchCase?.addEventListener("change", rerun);
+    el.searchRegex?.addEventListener("change", rerun);
+    el.searchInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        event.preventDefault();
+        stepSearch(event.shiftKey ? -1 : 1);
+      } else if (event.key === "Escape" && el.searchInput.value) {
+        el.searchInput.value = "";
+        rerun();
+      }
+    });
+    el.searchPrev?.addEventListener("click", () => {
+      stepSearch(-1);
+    });
+    el.searchNext?.addEventListener("click", () => {
+      stepSearch(1);
+    });
+  }
+
+  if (el.filterInput) {
+    el.filterInput.addEventListener("change", () => {
+      applyFilter();
+    });
+    el.filterInput.addEventListener("keydown", (event) => {
+      if (event.key === "Escape" && el.filterInput.value) {
+        el.filterInput.value = "";
+        el.filterSaved.value = "";
+        applyFilter();
+      }
+    });
+    el.filterMode?.addEventListener("change", () => {
+      applyFilter();
+    });
+    el.filterSaved?.addEventListener("change", () => {
+      const option = el.filterSaved.selectedOptions[0];
+      if (!option?.value) return;
+      el.filterInput.value = option.dataset.query;
+      applyFilter();
+    });
+    el.filterSave?.addEventListener("click", () => {
+      saveCurrentFilter();
+    });
+    el.filterDelete?.addEventListener("click", () => {
+      deleteSelectedFilter();
+    });
+    refreshSavedFilters();
+  }
+
+  el.prevUnreadBtn?.addEventListener("click", () => {
+    goToUnread(-1);
+  });
+  el.nextUnreadBtn?.addEventListener("click", () => {
+    goToUnread(1);
+  });
+
+  if (el.branchBody) {
+    // Comments that stay in view in the branch view count as read.
+    const dwell = createDwellTracker(el.branchBody, READS.dwell, (texts) => {
+      const ids = [];
+      for (const text of texts) {
+        const item = text.closest("[data-id]");
+        if (!item) continue;
+        item.classList.remove("unread");
+        ids.push(Number(item.dataset.id));
+      }
+      markRead(ids);
+    });
+    new MutationObserver(() => {
+      dwell.disconnect();
+      dwell.observe(
+        el.branchBody.querySelectorAll(".branch-item.unread > .branch-text"),
+      );
+    }).observe(el.branchBody, { childList: true });
+  }
+
+  window.addEventListener("pagehide", flushReads);
+
+  el.fitBtn.addEventListener("click", () => {
     fitToView();
+    writeRoute();
+  });
+  el.centerBtn.addEventListener("click", () => {
+    centerOnRoot();
+    writeRoute();
   });
 
-  el.fitBtn.addEventListener("click", fitToView);
-  el.centerBtn.addEventListener("click", centerOnRoot);
+  window.addEventListener("popstate", () => {
+    applyRoute(parseRoute(location.hash));
+  });
 
   el.collapseBtn.addEventListener("click", () => {
     toggleCollapse(state.selectedId);
@@ -691,8 +2655,18 @@ function setupControls() {
       didPan = false;
       return;
     }
+    const edge = event.target.closest?.("[data-exchanges]");
+    if (edge) {
+      showExchange(edge);
+      return;
+    }
     const meta = findNodeMetaFromPoint(event.clientX, event.clientY, el.graph);
     if (!meta) return;
+    if (event.altKey) {
+      const author = state.nodes.get(meta.id)?.by;
+      if (author) setSpotlight(author);
+      return;
+    }
     selectNode(meta.id);
     if (
       meta.isIcicle &&
@@ -712,6 +2686,7 @@ function setupControls() {
 
   if (el.branchBody) {
     el.branchBody.addEventListener("click", (event) => {
+      if (event.target.closest("[data-author]")) return;
       const meta = findNodeMeta(event.target, el.branchBody);
       if (!meta) return;
       selectNode(meta.id);
@@ -766,13 +2741,24 @@ function setupControls() {
       hideTooltip();
       return;
     }
-    const item = state.nodes.get(meta.id);
+    const placeholder = state.treeIndex.get(meta.id);
+    const item =
+      state.nodes.get(meta.id) ||
+      (placeholder?.missing || placeholder?.pending
+        ? {
+            id: meta.id,
+            missing: placeholder.missing,
+            pending: placeholder.pending,
+          }
+        : null);
     if (!item) {
       hideTooltip();
       return;
     }
     if (hoverId !== meta.id) {
-      el.graphTooltip.innerHTML = buildTooltipHtml(item);
+      el.graphTooltip.innerHTML =
+        getLayout(state.activeLayout).tooltip?.(meta.id, state) ??
+        buildTooltipHtml(item);
       el.graphTooltip.classList.add("visible");
       el.graphTooltip.setAttribute("aria-hidden", "false");
       hoverId = meta.id;
@@ -816,6 +2802,7 @@ function setupControls() {
       el.graph.releasePointerCapture(event.pointerId);
     }
     hasCapture = false;
+    if (didPan) scheduleRouteWrite();
   });
 
   el.graph.addEventListener("pointerleave", () => {
@@ -865,6 +2852,7 @@ function setupControls() {
       state.view.tx = offsetX - worldX * nextScale;
       state.view.ty = offsetY - worldY * nextScale;
       applyTransform();
+      scheduleRouteWrite();
 
       const isDetail = detailScale ? nextScale >= detailScale : false;
       const nextBucket = detailStep
@@ -913,6 +2901,11 @@ function setupControls() {
   setFrontpageControlsEnabled(state.activeLayout === "frontpage");
 }
 
+onDbEvent(handleDbEvent);
+onSync(handleSyncMessage);
+registerServiceWorker();
+watchConnectivity(handleConnectivity);
 populateLayoutOptions();
+populateSourceOptions();
 setupControls();
-loadFrontpage();
+applyRoute(parseRoute(location.hash));
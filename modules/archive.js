@@ -0,0 +1,209 @@
+/**
+ * Thread archive export and import (JSON or NDJSON).
+ * @module archive
+ */
+
+/** Identifies thread archives written by this app. */
+export const ARCHIVE_FORMAT = "hn-thread-atlas/thread";
+
+/** Current archive schema version; older versions stay importable. */
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Assemble an archive from a loaded thread.
+ * @param {Object} thread - Thread data.
+ * @param {number} thread.rootId - Root item ID.
+ * @param {Array} thread.items - Raw HN items.
+ * @param {number[]} [thread.missing] - Replies that could not be loaded.
+ * @param {Iterable<number>} [thread.collapsed] - Collapsed node IDs.
+ * @param {Map} [thread.sentiment] - Sentiment tags keyed by item ID.
+ * @param {Array} [thread.llm] - Saved entries from the `llm` store.
+ * @returns {Object} Archive object.
+ */
+export function buildArchive(thread) {
+  const root = thread.items.find((item) => item.id === thread.rootId);
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    rootId: thread.rootId,
+    title: root?.title || null,
+    missing: thread.missing || [],
+    collapsed: Array.from(thread.collapsed || []),
+    sentiment: Array.from(thread.sentiment || [], ([id, tag]) => ({
+      id,
+      ...tag,
+    })),
+    llm: thread.llm || [],
+    items: thread.items,
+  };
+}
+
+/**
+ * Serialize an archive. NDJSON puts the header on the first line and one
+ * item or LLM result per following line.
+ * @param {Object} archive - Result of `buildArchive`.
+ * @param {"json"|"ndjson"} format - Output format.
+ * @returns {string} File contents.
+ */
+export function serializeArchive(archive, format = "json") {
+  if (format !== "ndjson") return JSON.stringify(archive);
+  const { items, llm, ...header } = archive;
+  const lines = [JSON.stringify({ type: "header", ...header })];
+  for (const item of items) lines.push(JSON.stringify({ type: "item", item }));
+  for (const entry of llm) lines.push(JSON.stringify({ type: "llm", entry }));
+  return `${lines.join("\n")}\n`;
+}
+
+function parseNdjson(text) {
+  const archive = { items: [], llm: [] };
+  let hasHeader = false;
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    let record = null;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${index + 1} is not valid JSON.`);
+    }
+    if (record?.type === "header") {
+      if (hasHeader) {
+        throw new Error(`Line ${index + 1}: second header.`);
+      }
+      hasHeader = true;
+      const { type, ...header } = record;
+      Object.assign(archive, header);
+    } else if (record?.type === "item") {
+      archive.items.push(record.item);
+    } else if (record?.type === "llm") {
+      archive.llm.push(record.entry);
+    } else {
+      throw new Error(`Line ${index + 1}: unknown record type.`);
+    }
+  });
+  if (!hasHeader) throw new Error("Missing archive header line.");
+  return archive;
+}
+
+const isId = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Check an archive's structure and normalize optional fields.
+ * @param {Object} archive - Parsed archive.
+ * @returns {Object} The archive with defaults filled in.
+ * @throws {Error} Describing the first problem found.
+ */
+export function validateArchive(archive) {
+  if (!archive || typeof archive !== "object" || Array.isArray(archive)) {
+    throw new Error("Archive must be a JSON object.");
+  }
+  if (archive.format !== ARCHIVE_FORMAT) {
+    throw new Error("Not an HN Thread Atlas archive.");
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    throw new Error("Archive version is missing or invalid.");
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new Error(
+      `Archive version ${archive.version} is newer than this app supports (${ARCHIVE_VERSION}).`,
+    );
+  }
+  if (!isId(archive.rootId)) {
+    throw new Error("Archive rootId must be a positive integer.");
+  }
+  if (!Array.isArray(archive.items) || !archive.items.length) {
+    throw new Error("Archive contains no items.");
+  }
+
+  const ids = new Set();
+  archive.items.forEach((item, index) => {
+    if (!item || typeof item !== "object" || !isId(item.id)) {
+      throw new Error(`Item ${index + 1} has no valid id.`);
+    }
+    if (ids.has(item.id)) {
+      throw new Error(`Item ${item.id} appears more than once.`);
+    }
+    if (item.kids !== undefined && !Array.isArray(item.kids)) {
+      throw new Error(`Item ${item.id} has a malformed kids list.`);
+    }
+    ids.add(item.id);
+  });
+  if (!ids.has(archive.rootId)) {
+    throw new Error(
+      `Root item ${archive.rootId} is not among the archived items.`,
+    );
+  }
+
+  const idList = (key) => {
+    const value = archive[key] ?? [];
+    if (!Array.isArray(value) || !value.every(isId)) {
+      throw new Error(`Archive ${key} must be a list of item ids.`);
+    }
+    return value;
+  };
+  const missing = idList("missing");
+  const collapsed = idList("collapsed").filter((id) => ids.has(id));
+
+  const sentiment = archive.sentiment ?? [];
+  if (
+    !Array.isArray(sentiment) ||
+    !sentiment.every((tag) => isId(tag?.id) && typeof tag.label === "string")
+  ) {
+    throw new Error("Archive sentiment tags are malformed.");
+  }
+
+  const llm = archive.llm ?? [];
+  if (!Array.isArray(llm)) {
+    throw new Error("Archive llm results are malformed.");
+  }
+  for (const entry of llm) {
+    if (String(entry?.rootId) !== String(archive.rootId)) {
+      throw new Error(
+        `An LLM result belongs to thread ${entry?.rootId}, not ${archive.rootId}.`,
+      );
+    }
+  }
+
+  return { ...archive, missing, collapsed, sentiment, llm };
+}
+
+/**
+ * Parse and validate archive file contents in either format.
+ * @param {string} text - File contents.
+ * @returns {Object} Validated archive.
+ * @throws {Error} On malformed or mismatched files.
+ */
+export function parseArchive(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) throw new Error("File is empty.");
+  let archive = null;
+  try {
+    archive = JSON.parse(trimmed);
+  } catch {
+    archive = parseNdjson(trimmed);
+  }
+  return validateArchive(archive);
+}
+
+/**
+ * Offer an archive as a file download.
+ * @param {Object} archive - Result of `buildArchive`.
+ * @param {"json"|"ndjson"} format - Output format.
+ * @returns {string} Downloaded file name.
+ */
+export function downloadArchive(archive, format = "json") {
+  const ndjson = format === "ndjson";
+  const blob = new Blob([serializeArchive(archive, format)], {
+    type: ndjson ? "application/x-ndjson" : "application/json",
+  });
+  const name = `hn-thread-${archive.rootId}.${ndjson ? "ndjson" : "json"}`;
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  return name;
+}
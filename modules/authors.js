@@ -0,0 +1,56 @@
+/**
+ * Per-author view of a thread: everything one person wrote and who they
+ * talked to, for the author spotlight.
+ * @module authors
+ */
+
+import { isBeforeCutoff } from "./data.js";
+
+function isShown(state, id) {
+  return id === state.rootId || isBeforeCutoff({ id }, state);
+}
+
+function byCount(counts) {
+  return Array.from(counts).sort(
+    (a, b) => b[1] - a[1] || a[0].localeCompare(b[0]),
+  );
+}
+
+/**
+ * Collect an author's items in the current tree, oldest first, along with
+ * the people they replied to and the people who replied to them. Replies
+ * hidden by the replay cutoff are left out.
+ * @param {Object} state - Application state.
+ * @param {string} author - HN username.
+ * @returns {{author: string, ids: number[], repliedTo: Array<[string,
+ *   number]>, repliedBy: Array<[string, number]>}} People come with reply
+ *   counts, most frequent first.
+ */
+export function summarizeAuthor(state, author) {
+  const ids = [];
+  const repliedTo = new Map();
+  const repliedBy = new Map();
+  const count = (counts, name) => counts.set(name, (counts.get(name) || 0) + 1);
+
+  for (const [id, node] of state.treeIndex) {
+    if (state.nodes.get(id)?.by !== author || !isShown(state, id)) continue;
+    ids.push(id);
+    const parent = state.nodes.get(node.parentId);
+    if (parent?.by && parent.by !== author) count(repliedTo, parent.by);
+    for (const child of node.children) {
+      const reply = state.nodes.get(child.id);
+      if (reply?.by && reply.by !== author && isShown(state, child.id)) {
+        count(repliedBy, reply.by);
+      }
+    }
+  }
+
+  const time = (id) => state.nodes.get(id).time ?? 0;
+  ids.sort((a, b) => time(a) - time(b) || a - b);
+  return {
+    author,
+    ids,
+    repliedTo: byCount(repliedTo),
+    repliedBy: byCount(repliedBy),
+  };
+}
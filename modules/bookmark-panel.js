@@ -0,0 +1,84 @@
+/**
+ * Bookmarks panel: bookmarked comments from every thread, with jump and
+ * delete.
+ * @module bookmark-panel
+ */
+
+import { listBookmarks, deleteBookmark } from "./bookmarks.js";
+import { formatAge } from "./cache.js";
+import { escapeHtml } from "./utils.js";
+
+const SNIPPET_LENGTH = 140;
+
+function buildRow(entry, currentId) {
+  const snippet =
+    entry.snippet.length > SNIPPET_LENGTH
+      ? `${entry.snippet.slice(0, SNIPPET_LENGTH - 3)}...`
+      : entry.snippet;
+  const meta = [
+    entry.author,
+    entry.threadTitle || `Thread ${entry.rootId}`,
+    `saved ${formatAge(entry.savedAt)}`,
+  ].join(" · ");
+  const classes = ["cache-item", entry.rootId === currentId ? "current" : ""]
+    .filter(Boolean)
+    .join(" ");
+  return `<li class="${classes}" data-bookmark-id="${entry.id}" data-thread-id="${escapeHtml(entry.rootId)}">
+    <div class="cache-info">
+      <button class="cache-open" data-action="open" title="Jump to comment">${escapeHtml(snippet || `#${entry.id}`)}</button>
+      <div class="cache-meta">${escapeHtml(meta)}</div>
+      ${entry.note ? `<div class="bookmark-note-text">${escapeHtml(entry.note)}</div>` : ""}
+    </div>
+    <button class="btn small ghost" data-action="delete">Remove</button>
+  </li>`;
+}
+
+/**
+ * Re-read bookmarks and redraw the panel. Does nothing while it is closed.
+ * @param {Object} el - DOM element references.
+ * @param {string|number|null} [currentId] - Thread on screen, highlighted.
+ */
+export async function refreshBookmarkPanel(el, currentId = null) {
+  if (!el.bookmarkPanel?.open) return;
+  const bookmarks = await listBookmarks();
+  const threads = new Set(bookmarks.map((entry) => entry.rootId));
+  el.bookmarkSummary.textContent = `Bookmarks (${bookmarks.length})`;
+  el.bookmarkUsage.textContent = bookmarks.length
+    ? `${bookmarks.length} comments in ${threads.size} threads`
+    : "";
+  el.bookmarkList.innerHTML = bookmarks.length
+    ? bookmarks
+        .map((entry) =>
+          buildRow(entry, currentId !== null ? String(currentId) : null),
+        )
+        .join("")
+    : `<li class="cache-empty">No bookmarks. Use Bookmark in the detail panel to add one.</li>`;
+}
+
+/**
+ * Wire panel actions.
+ * @param {Object} el - DOM element references.
+ * @param {Object} handlers - Callbacks.
+ * @param {Function} handlers.onOpen - Called with `(rootId, id)` to jump.
+ * @param {Function} handlers.onDelete - Called with the removed item ID.
+ * @param {Function} handlers.getCurrentId - Returns the thread on screen.
+ */
+export function setupBookmarkPanel(el, handlers) {
+  if (!el.bookmarkPanel) return;
+  const refresh = () => refreshBookmarkPanel(el, handlers.getCurrentId());
+
+  el.bookmarkPanel.addEventListener("toggle", refresh);
+
+  el.bookmarkList.addEventListener("click", async (event) => {
+    const button = event.target.closest("[data-action]");
+    const row = event.target.closest("[data-bookmark-id]");
+    if (!button || !row) return;
+    const id = Number(row.dataset.bookmarkId);
+    if (button.dataset.action === "open") {
+      handlers.onOpen(Number(row.dataset.threadId), id);
+    } else if (button.dataset.action === "delete") {
+      if (await deleteBookmark(id)) handlers.onDelete(id);
+      await refresh();
+    }
+  });
+}
@@ -0,0 +1,83 @@
+/**
+ * Bookmarks: comments marked for later, with an optional note, kept in
+ * IndexedDB across threads.
+ * @module bookmarks
+ */
+
+import { getDb, requestToPromise, txComplete, handleDbError } from "./db.js";
+import { announce } from "./sync.js";
+
+/**
+ * List bookmarks, newest first.
+ * @param {string|number} [rootId] - Only this thread's bookmarks.
+ * @returns {Promise<Array<{id: number, rootId: string, threadTitle: string,
+ *   author: string, snippet: string, note: string, savedAt: string}>>}
+ */
+export async function listBookmarks(rootId = null) {
+  try {
+    const db = await getDb();
+    const tx = db.transaction("bookmarks", "readonly");
+    const store = tx.objectStore("bookmarks");
+    const entries = await requestToPromise(
+      rootId === null
+        ? store.getAll()
+        : store.index("rootId").getAll(String(rootId)),
+    );
+    await txComplete(tx);
+    return entries.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  } catch (error) {
+    console.warn("Bookmark listing failed", error);
+    await handleDbError(error);
+    return [];
+  }
+}
+
+/**
+ * Add or update a bookmark. The original save time is kept on updates.
+ * @param {Object} bookmark - Fields as returned by `listBookmarks`.
+ * @returns {Promise<Object|null>} Stored entry, or null on failure.
+ */
+export async function saveBookmark(bookmark) {
+  try {
+    const db = await getDb();
+    const tx = db.transaction("bookmarks", "readwrite");
+    const store = tx.objectStore("bookmarks");
+    const previous = await requestToPromise(store.get(bookmark.id));
+    const entry = {
+      ...bookmark,
+      rootId: String(bookmark.rootId),
+      note: bookmark.note || "",
+      savedAt: previous?.savedAt || new Date().toISOString(),
+    };
+    store.put(entry);
+    await txComplete(tx);
+    announce("bookmarks", { rootId: entry.rootId });
+    return entry;
+  } catch (error) {
+    console.warn("Bookmark save failed", error);
+    await handleDbError(error);
+    return null;
+  }
+}
+
+/**
+ * Remove a bookmark.
+ * @param {number} id - Bookmarked item ID.
+ * @returns {Promise<boolean>} True if the delete went through.
+ */
+export async function deleteBookmark(id) {
+  try {
+    const db = await getDb();
+    const tx = db.transaction("bookmarks", "readwrite");
+    const store = tx.objectStore("bookmarks");
+    const entry = await requestToPromise(store.get(id));
+    store.delete(id);
+    await txComplete(tx);
+    announce("bookmarks", { rootId: entry?.rootId ?? null });
+    return true;
+  } catch (error) {
+    console.warn("Bookmark delete failed", error);
+    await handleDbError(error);
+    return false;
+  }
+}
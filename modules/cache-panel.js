@@ -0,0 +1,144 @@
+/**
+ * Cache manager panel: cached threads with pin, delete and bulk clear.
+ * @module cache-panel
+ */
+
+import {
+  listCachedThreads,
+  setThreadPinned,
+  deleteCachedThreads,
+  clearCache,
+  getStorageEstimate,
+  formatAge,
+} from "./cache.js";
+import { escapeHtml, formatBytes } from "./utils.js";
+
+function buildRow(entry, currentId) {
+  const title = entry.title || `Thread ${entry.id}`;
+  const meta = [
+    `${entry.itemCount} items`,
+    `~${formatBytes(entry.size)}`,
+    `fetched ${formatAge(entry.fetchedAt)}`,
+    `used ${formatAge(entry.accessedAt)}`,
+    entry.complete ? "" : "incomplete",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const classes = [
+    "cache-item",
+    entry.pinned ? "pinned" : "",
+    entry.id === currentId ? "current" : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+  return `<li class="${classes}" data-thread-id="${escapeHtml(entry.id)}">
+    <input type="checkbox" class="cache-select" aria-label="Select ${escapeHtml(title)}" />
+    <div class="cache-info">
+      <button class="cache-open" data-action="open" title="Open thread">${escapeHtml(title)}</button>
+      <div class="cache-meta">${escapeHtml(meta)}</div>
+    </div>
+    <button class="btn small" data-action="pin">${entry.pinned ? "Unpin" : "Pin"}</button>
+    <button class="btn small ghost" data-action="delete">Delete</button>
+  </li>`;
+}
+
+/**
+ * Re-read the cache and redraw the panel. Does nothing while it is closed.
+ * @param {Object} el - DOM element references.
+ * @param {string|number|null} [currentId] - Thread on screen, highlighted.
+ */
+export async function refreshCachePanel(el, currentId = null) {
+  if (!el.cachePanel?.open) return;
+  const [threads, estimate] = await Promise.all([
+    listCachedThreads(),
+    getStorageEstimate(),
+  ]);
+  const total = threads.reduce((sum, entry) => sum + entry.size, 0);
+  const pinned = threads.filter((entry) => entry.pinned).length;
+  el.cacheSummary.textContent = `Cache manager (${threads.length})`;
+  el.cacheUsage.textContent = [
+    `${threads.length} threads, ~${formatBytes(total)}, ${pinned} pinned`,
+    estimate
+      ? `origin storage ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}`
+      : "storage estimate unavailable",
+  ].join(" | ");
+  el.cacheList.innerHTML = threads.length
+    ? threads
+        .map((entry) => buildRow(entry, currentId ? String(currentId) : null))
+        .join("")
+    : `<li class="cache-empty">No cached threads.</li>`;
+}
+
+/**
+ * Wire panel actions.
+ * @param {Object} el - DOM element references.
+ * @param {Object} handlers - Callbacks.
+ * @param {Function} handlers.onOpen - Called with a thread ID to open.
+ * @param {Function} handlers.onStatus - Called with a status message.
+ * @param {Function} handlers.getCurrentId - Returns the thread on screen.
+ */
+export function setupCachePanel(el, handlers) {
+  if (!el.cachePanel) return;
+  const refresh = () => refreshCachePanel(el, handlers.getCurrentId());
+  const run = async (task, message) => {
+    try {
+      const result = await task();
+      handlers.onStatus(
+        typeof message === "function" ? message(result) : message,
+      );
+    } catch (error) {
+      console.warn("Cache action failed", error);
+      handlers.onStatus("Cache action failed.");
+    }
+    await refresh();
+  };
+
+  el.cachePanel.addEventListener("toggle", refresh);
+
+  el.cacheList.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-action]");
+    const row = event.target.closest("[data-thread-id]");
+    if (!button || !row) return;
+    const id = row.dataset.threadId;
+    const action = button.dataset.action;
+    if (action === "open") {
+      handlers.onOpen(id);
+    } else if (action === "pin") {
+      const pin = !row.classList.contains("pinned");
+      run(
+        () => setThreadPinned(id, pin),
+        pin ? `Pinned thread ${id}.` : `Unpinned thread ${id}.`,
+      );
+    } else if (action === "delete") {
+      run(() => deleteCachedThreads([id]), `Removed thread ${id} from cache.`);
+    }
+  });
+
+  el.cacheDeleteSelected?.addEventListener("click", () => {
+    const ids = Array.from(
+      el.cacheList.querySelectorAll(".cache-select:checked"),
+      (input) => input.closest("[data-thread-id]").dataset.threadId,
+    );
+    if (!ids.length) return;
+    run(
+      () => deleteCachedThreads(ids),
+      `Removed ${ids.length} threads from cache.`,
+    );
+  });
+
+  el.cacheClear?.addEventListener("click", () => {
+    if (!confirm("Remove all unpinned threads and frontpage lists?")) return;
+    run(
+      () => clearCache(),
+      (count) => `Cleared ${count} cached threads.`,
+    );
+  });
+
+  el.cacheClearAll?.addEventListener("click", () => {
+    if (!confirm("Remove every cached thread, including pinned ones?")) return;
+    run(
+      () => clearCache({ includePinned: true }),
+      (count) => `Cleared ${count} cached threads.`,
+    );
+  });
+}
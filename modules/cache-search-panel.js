@@ -0,0 +1,108 @@
+/**
+ * Cross-thread search panel: finds comments in every cached thread and
+ * jumps to them.
+ * @module cache-search-panel
+ */
+
+import { searchCachedThreads, formatAge } from "./cache.js";
+import { parseIndexQuery } from "./search-index.js";
+import { escapeHtml } from "./utils.js";
+
+const SEARCH_DELAY = 250;
+
+/** Escape a snippet and mark the words of the query in it. */
+function markTerms(snippet, terms) {
+  if (!terms.length) return escapeHtml(snippet);
+  const pattern = new RegExp(
+    `(^|[^\\p{L}\\p{N}])(${terms.map(({ term }) => term).join("|")})`,
+    "giu",
+  );
+  // Match on the plain text so terms never hit inside escaped entities.
+  let html = "";
+  let last = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    const start = match.index + match[1].length;
+    const end = start + match[2].length;
+    html += `${escapeHtml(snippet.slice(last, start))}<mark>${escapeHtml(snippet.slice(start, end))}</mark>`;
+    last = end;
+  }
+  return html + escapeHtml(snippet.slice(last));
+}
+
+function buildRow(hit, terms, currentId) {
+  const meta = [
+    hit.author,
+    hit.threadTitle || `Thread ${hit.rootId}`,
+    Number.isFinite(hit.time)
+      ? formatAge(new Date(hit.time * 1000).toISOString())
+      : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const classes = ["cache-item", hit.rootId === currentId ? "current" : ""]
+    .filter(Boolean)
+    .join(" ");
+  return `<li class="${classes}" data-item-id="${hit.id}" data-thread-id="${escapeHtml(hit.rootId)}">
+    <div class="cache-info">
+      <button class="cache-open cache-search-snippet" data-action="open" title="Open thread at this comment">${markTerms(hit.snippet || `#${hit.id}`, terms)}</button>
+      <div class="cache-meta">${escapeHtml(meta)}</div>
+    </div>
+  </li>`;
+}
+
+/**
+ * Run the query in the panel's box and redraw the hits. Does nothing while
+ * the panel is closed.
+ * @param {Object} el - DOM element references.
+ * @param {string|number|null} [currentId] - Thread on screen, highlighted.
+ */
+export async function refreshCacheSearchPanel(el, currentId = null) {
+  if (!el.cacheSearchPanel?.open) return;
+  const query = el.cacheSearchInput.value;
+  const terms = parseIndexQuery(query);
+  if (!terms.length) {
+    el.cacheSearchUsage.textContent = "";
+    el.cacheSearchList.innerHTML = `<li class="cache-empty">Type words to find comments in every cached thread.</li>`;
+    return;
+  }
+  const hits = await searchCachedThreads(query);
+  if (el.cacheSearchInput.value !== query) return;
+  const threads = new Set(hits.map((hit) => hit.rootId));
+  el.cacheSearchUsage.textContent = hits.length
+    ? `${hits.length} comments in ${threads.size} threads`
+    : "";
+  el.cacheSearchList.innerHTML = hits.length
+    ? hits
+        .map((hit) =>
+          buildRow(hit, terms, currentId !== null ? String(currentId) : null),
+        )
+        .join("")
+    : `<li class="cache-empty">No cached comment contains all of these words.</li>`;
+}
+
+/**
+ * Wire the search box and result clicks.
+ * @param {Object} el - DOM element references.
+ * @param {Object} handlers - Callbacks.
+ * @param {Function} handlers.onOpen - Called with `(rootId, id)` to jump.
+ * @param {Function} handlers.getCurrentId - Returns the thread on screen.
+ */
+export function setupCacheSearchPanel(el, handlers) {
+  if (!el.cacheSearchPanel) return;
+  const refresh = () => refreshCacheSearchPanel(el, handlers.getCurrentId());
+  let timer = 0;
+
+  el.cacheSearchPanel.addEventListener("toggle", refresh);
+
+  el.cacheSearchInput.addEventListener("input", () => {
+    clearTimeout(timer);
+    timer = setTimeout(refresh, SEARCH_DELAY);
+  });
+
+  el.cacheSearchList.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-action]");
+    const row = event.target.closest("[data-item-id]");
+    if (!button || !row) return;
+    handlers.onOpen(Number(row.dataset.threadId), Number(row.dataset.itemId));
+  });
+}
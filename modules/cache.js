@@ -3,61 +3,396 @@
  * @module cache
  */
 
-import { getDb, requestToPromise, txComplete } from "./db.js";
+import { getDb, requestToPromise, txComplete, handleDbError } from "./db.js";
+import { announce } from "./sync.js";
+import {
+  buildIndexRecords,
+  parseIndexQuery,
+  plainText,
+  makeSnippet,
+} from "./search-index.js";
 
-/** Maximum number of threads to keep cached. */
-const MAX_THREADS = 3;
+/** Approximate byte budget for unpinned cached threads. */
+const MAX_THREAD_BYTES = 50 * 1024 * 1024;
 const MAX_FRONTPAGE = 5;
+const MAX_SEARCH_RESULTS = 50;
 
-export async function getCachedThread(id) {
+/** Approximate stored size of a value (length of its JSON form). */
+function estimateSize(value) {
+  try {
+    return JSON.stringify(value).length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Visit every `threadMeta` record in an open transaction, least recently
+ * used first (or most recently used first with `direction` "prev").
+ */
+function eachThreadMeta(tx, visit, direction = "next") {
+  return new Promise((resolve, reject) => {
+    const request = tx
+      .objectStore("threadMeta")
+      .index("accessedAt")
+      .openCursor(null, direction);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      visit(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Load a cached thread.
+ * @param {string|number} id - Root item ID.
+ * @param {Object} [options] - Load options.
+ * @param {boolean} [options.touch=true] - Record the read as an access for
+ *   LRU eviction. Background reads (frontpage previews) pass false.
+ * @returns {Promise<Object|null>} Cache entry.
+ */
+export async function getCachedThread(id, options = {}) {
+  const touch = options.touch !== false;
   try {
     const db = await getDb();
-    const tx = db.transaction("threads", "readonly");
-    const store = tx.objectStore("threads");
-    const entry = await requestToPromise(store.get(String(id)));
+    const tx = touch
+      ? db.transaction(["threads", "threadMeta"], "readwrite")
+      : db.transaction("threads", "readonly");
+    const entry = await requestToPromise(
+      tx.objectStore("threads").get(String(id)),
+    );
+    if (touch && entry) {
+      // Only the small metadata record is rewritten, never the items.
+      const metaStore = tx.objectStore("threadMeta");
+      const meta = await requestToPromise(metaStore.get(String(id)));
+      if (meta) {
+        metaStore.put({ ...meta, accessedAt: new Date().toISOString() });
+      }
+    }
     await txComplete(tx);
     if (!entry || !entry.items) return null;
     return entry;
   } catch (error) {
     console.warn("Cache load failed", error);
+    await handleDbError(error);
     return null;
   }
 }
 
+/** Drop a thread's snapshot history inside an open transaction. */
+async function deleteSnapshots(tx, id) {
+  tx.objectStore("snapshotHeads").delete(String(id));
+  const store = tx.objectStore("snapshots");
+  const keys = await requestToPromise(
+    store.index("rootId").getAllKeys(String(id)),
+  );
+  for (const key of keys) store.delete(key);
+}
+
+/** Drop a thread's search index records inside an open transaction. */
+async function deleteIndexRecords(tx, id) {
+  const store = tx.objectStore("searchIndex");
+  const keys = await requestToPromise(
+    store.index("rootId").getAllKeys(String(id)),
+  );
+  for (const key of keys) store.delete(key);
+}
+
+/** Replace a thread's search index records inside an open transaction. */
+async function indexThread(tx, id, items) {
+  await deleteIndexRecords(tx, id);
+  const store = tx.objectStore("searchIndex");
+  for (const record of buildIndexRecords(id, items)) store.put(record);
+}
+
+/**
+ * Evict least recently used unpinned threads until the unpinned total fits
+ * `MAX_THREAD_BYTES`. The most recently used thread is always kept. Evicted
+ * threads lose their snapshot history and search index records too.
+ */
 async function pruneThreads() {
   const db = await getDb();
-  const tx = db.transaction("threads", "readwrite");
-  const store = tx.objectStore("threads");
-  const entries = await requestToPromise(store.getAll());
-  if (entries.length <= MAX_THREADS) {
-    await txComplete(tx);
-    return;
-  }
-  const sorted = entries
-    .map((entry) => ({ id: entry.id, time: entry.fetchedAt || "" }))
-    .sort((a, b) => a.time.localeCompare(b.time));
-  while (sorted.length > MAX_THREADS) {
-    const drop = sorted.shift();
-    if (drop) store.delete(drop.id);
+  const tx = db.transaction(
+    ["threads", "threadMeta", "snapshots", "snapshotHeads", "searchIndex"],
+    "readwrite",
+  );
+  const candidates = [];
+  await eachThreadMeta(tx, (meta) => {
+    if (!meta.pinned) candidates.push({ id: meta.id, size: meta.size });
+  });
+  let total = candidates.reduce((sum, entry) => sum + entry.size, 0);
+  while (candidates.length > 1 && total > MAX_THREAD_BYTES) {
+    const drop = candidates.shift();
+    total -= drop.size;
+    tx.objectStore("threads").delete(drop.id);
+    tx.objectStore("threadMeta").delete(drop.id);
+    await deleteSnapshots(tx, drop.id);
+    await deleteIndexRecords(tx, drop.id);
   }
   await txComplete(tx);
 }
 
-export async function setCachedThread(id, items) {
+/**
+ * Store a thread snapshot and re-index it for `searchCachedThreads`. Pinning
+ * and the title are kept across saves.
+ * @param {string|number} id - Root item ID.
+ * @param {Array} items - Thread items.
+ * @param {Object} [options] - Save options.
+ * @param {number[]} [options.missing] - Replies that failed to load; a thread
+ *   with any is stored as incomplete so it is never served as a cache hit.
+ */
+export async function setCachedThread(id, items, options = {}) {
   try {
     const db = await getDb();
-    const tx = db.transaction("threads", "readwrite");
-    const store = tx.objectStore("threads");
+    const tx = db.transaction(
+      ["threads", "threadMeta", "searchIndex"],
+      "readwrite",
+    );
+    const metaStore = tx.objectStore("threadMeta");
+    const previous = await requestToPromise(metaStore.get(String(id)));
+    const missing = options.missing || [];
+    const root = items.find((item) => String(item.id) === String(id));
+    const now = new Date().toISOString();
     const entry = {
       id: String(id),
-      fetchedAt: new Date().toISOString(),
+      fetchedAt: now,
+      complete: missing.length === 0,
+      missing,
       items,
     };
-    store.put(entry);
+    tx.objectStore("threads").put(entry);
+    metaStore.put({
+      id: entry.id,
+      title: root?.title || previous?.title || null,
+      itemCount: items.length,
+      size: estimateSize(items),
+      fetchedAt: now,
+      accessedAt: now,
+      pinned: Boolean(previous?.pinned),
+      complete: entry.complete,
+    });
+    await indexThread(tx, entry.id, items);
     await txComplete(tx);
     await pruneThreads();
+    announce("thread", { id: entry.id, fetchedAt: now });
   } catch (error) {
     console.warn("Cache save failed", error);
+    await handleDbError(error);
+  }
+}
+
+/**
+ * Describe every cached thread without its items, most recently used first.
+ * @returns {Promise<Array<{id: string, title: string|null, itemCount: number,
+ *   size: number, fetchedAt: string, accessedAt: string, pinned: boolean,
+ *   complete: boolean}>>}
+ */
+export async function listCachedThreads() {
+  try {
+    const db = await getDb();
+    const tx = db.transaction("threadMeta", "readonly");
+    const entries = [];
+    await eachThreadMeta(tx, (meta) => entries.push(meta), "prev");
+    await txComplete(tx);
+    return entries;
+  } catch (error) {
+    console.warn("Cache listing failed", error);
+    await handleDbError(error);
+    return [];
+  }
+}
+
+/**
+ * Pin or unpin a cached thread; pinned threads are never evicted.
+ * @param {string|number} id - Root item ID.
+ * @param {boolean} pinned - New pin state.
+ */
+export async function setThreadPinned(id, pinned) {
+  const db = await getDb();
+  const tx = db.transaction("threadMeta", "readwrite");
+  const store = tx.objectStore("threadMeta");
+  const meta = await requestToPromise(store.get(String(id)));
+  if (meta) store.put({ ...meta, pinned: Boolean(pinned) });
+  await txComplete(tx);
+  if (!pinned) await pruneThreads();
+  announce("cache");
+}
+
+/**
+ * Delete cached threads along with their snapshot history and search index
+ * records.
+ * @param {Array<string|number>} ids - Root item IDs.
+ */
+export async function deleteCachedThreads(ids) {
+  const db = await getDb();
+  const tx = db.transaction(
+    ["threads", "threadMeta", "snapshots", "snapshotHeads", "searchIndex"],
+    "readwrite",
+  );
+  for (const id of ids) {
+    tx.objectStore("threads").delete(String(id));
+    tx.objectStore("threadMeta").delete(String(id));
+    await deleteSnapshots(tx, id);
+    await deleteIndexRecords(tx, id);
+  }
+  await txComplete(tx);
+  announce("cache");
+}
+
+/**
+ * Bulk-clear the cache. Removed threads lose their snapshot history and
+ * search index records.
+ * @param {Object} [options] - Clear options.
+ * @param {boolean} [options.includePinned=false] - Also drop pinned threads.
+ * @returns {Promise<number>} Number of threads removed.
+ */
+export async function clearCache(options = {}) {
+  const db = await getDb();
+  const tx = db.transaction(
+    [
+      "threads",
+      "threadMeta",
+      "frontpage",
+      "snapshots",
+      "snapshotHeads",
+      "searchIndex",
+    ],
+    "readwrite",
+  );
+  const ids = [];
+  await eachThreadMeta(tx, (meta) => {
+    if (!meta.pinned || options.includePinned) ids.push(meta.id);
+  });
+  for (const id of ids) {
+    tx.objectStore("threads").delete(id);
+    tx.objectStore("threadMeta").delete(id);
+    await deleteSnapshots(tx, id);
+    await deleteIndexRecords(tx, id);
+  }
+  tx.objectStore("frontpage").clear();
+  await txComplete(tx);
+  announce("cache");
+  return ids.length;
+}
+
+/**
+ * Search every cached thread through the inverted index. All query words
+ * must appear in a comment; hits are ranked by how often the words occur,
+ * rare words weighing more.
+ * @param {string} query - Search text.
+ * @returns {Promise<Array<{rootId: string, id: number, threadTitle: string|
+ *   null, author: string, time: number, snippet: string, score: number}>>}
+ *   Best hits first; empty for a blank query or on failure.
+ */
+export async function searchCachedThreads(query) {
+  const terms = parseIndexQuery(query);
+  if (!terms.length) return [];
+  try {
+    const db = await getDb();
+    const tx = db.transaction(
+      ["threads", "threadMeta", "searchIndex"],
+      "readonly",
+    );
+    const index = tx.objectStore("searchIndex");
+    const threadCount = await requestToPromise(
+      tx.objectStore("threadMeta").count(),
+    );
+    let scores = null;
+    for (const { term, prefix } of terms) {
+      const range = prefix
+        ? IDBKeyRange.bound([term], [`${term}\uffff`])
+        : IDBKeyRange.bound([term, ""], [term, "\uffff"]);
+      const records = await requestToPromise(index.getAll(range));
+      const threads = new Set(records.map((record) => record.rootId));
+      const weight = Math.log(1 + threadCount / Math.max(threads.size, 1));
+      const termScores = new Map();
+      for (const record of records) {
+        for (const [id, count] of record.hits) {
+          const key = `${record.rootId}:${id}`;
+          termScores.set(
+            key,
+            (termScores.get(key) || 0) + (1 + Math.log(count)) * weight,
+          );
+        }
+      }
+      if (scores) {
+        for (const [key, score] of scores) {
+          if (termScores.has(key)) {
+            scores.set(key, score + termScores.get(key));
+          } else {
+            scores.delete(key);
+          }
+        }
+      } else {
+        scores = termScores;
+      }
+    }
+    const ranked = Array.from(scores)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_SEARCH_RESULTS);
+    const threads = new Map();
+    const titles = new Map();
+    for (const [key] of ranked) {
+      const rootId = key.split(":")[0];
+      if (!threads.has(rootId)) {
+        threads.set(
+          rootId,
+          await requestToPromise(tx.objectStore("threads").get(rootId)),
+        );
+        const meta = await requestToPromise(
+          tx.objectStore("threadMeta").get(rootId),
+        );
+        titles.set(rootId, meta?.title || null);
+      }
+    }
+    await txComplete(tx);
+    return ranked.flatMap(([key, score]) => {
+      const [rootId, id] = key.split(":");
+      const entry = threads.get(rootId);
+      const item = entry?.items?.find(
+        (candidate) => candidate.id === Number(id),
+      );
+      if (!item) return [];
+      return [
+        {
+          rootId,
+          id: item.id,
+          threadTitle: titles.get(rootId),
+          author: item.by || "[deleted]",
+          time: item.time,
+          snippet: makeSnippet(plainText(item.text) || item.title || "", terms),
+          score,
+        },
+      ];
+    });
+  } catch (error) {
+    console.warn("Cached thread search failed", error);
+    await handleDbError(error);
+    return [];
+  }
+}
+
+/**
+ * Browser storage usage for this origin.
+ * @returns {Promise<{usage: number, quota: number}|null>} Null if the
+ *   Storage API is unavailable.
+ */
+export async function getStorageEstimate() {
+  if (typeof navigator === "undefined" || !navigator.storage?.estimate) {
+    return null;
+  }
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    console.warn("Storage estimate failed", error);
+    return null;
   }
 }
 
@@ -72,6 +407,7 @@ export async function getCachedFrontpage(kind) {
     return entry;
   } catch (error) {
     console.warn("Frontpage cache load failed", error);
+    await handleDbError(error);
     return null;
   }
 }
@@ -108,8 +444,10 @@ export async function setCachedFrontpage(kind, items) {
     store.put(entry);
     await txComplete(tx);
     await pruneFrontpage();
+    announce("frontpage", { kind: entry.key });
   } catch (error) {
     console.warn("Frontpage cache save failed", error);
+    await handleDbError(error);
   }
 }
 
@@ -125,7 +463,12 @@ export function formatAge(iso) {
   return `${days}d ago`;
 }
 
-function fingerprint(item) {
+/**
+ * Everything about an item that counts as a change between two fetches.
+ * @param {Object} item - HN item.
+ * @returns {string}
+ */
+export function fingerprint(item) {
   return [
     item.id,
     item.by || "",
@@ -140,23 +483,35 @@ function fingerprint(item) {
   ].join("|");
 }
 
-export function diffThreads(oldItems, newItems) {
+/**
+ * List which items were added, changed or removed between two item lists.
+ * @param {Array} oldItems - Earlier items.
+ * @param {Array} newItems - Later items.
+ * @returns {{added: number[], updated: number[], removed: number[]}} IDs.
+ */
+export function compareThreads(oldItems, newItems) {
   const oldMap = new Map();
   for (const item of oldItems || []) {
     oldMap.set(item.id, fingerprint(item));
   }
 
-  let added = 0;
-  let updated = 0;
+  const added = [];
+  const updated = [];
 
   for (const item of newItems || []) {
     const prev = oldMap.get(item.id);
     if (!prev) {
-      added += 1;
+      added.push(item.id);
     } else if (prev !== fingerprint(item)) {
-      updated += 1;
+      updated.push(item.id);
     }
+    oldMap.delete(item.id);
   }
 
-  return { added, updated };
+  return { added, updated, removed: Array.from(oldMap.keys()) };
+}
+
+export function diffThreads(oldItems, newItems) {
+  const { added, updated } = compareThreads(oldItems, newItems);
+  return { added: added.length, updated: updated.length };
 }
@@ -9,6 +9,68 @@ export const DEFAULT_ID = 46616488;
 /** Default LLM model name. */
 export const DEFAULT_MODEL = "nvidia/nemotron-3-nano";
 
+/** Data source tried first; the others serve as fallbacks. */
+export const DEFAULT_SOURCE = "algolia";
+
+/** Retry policy for item fetches (delays in milliseconds). */
+export const FETCH_RETRY = {
+  retries: 3,
+  baseDelay: 400,
+  maxDelay: 4000,
+};
+
+/**
+ * How far back the Firebase `updates` feed reaches (ms). A refresh of a thread
+ * last fetched longer ago than this walks the whole thread again.
+ */
+export const UPDATES_WINDOW = 3 * 60 * 1000;
+
+/** Live-follow defaults (milliseconds). */
+export const FOLLOW = {
+  interval: 30000,
+  pauseWhenHidden: true,
+  freshDuration: 8000,
+};
+
+/**
+ * Snapshot history per thread. Every `keyframeInterval`-th snapshot stores
+ * the full item list; the ones in between store only changes.
+ */
+export const HISTORY = {
+  maxSnapshots: 48,
+  keyframeInterval: 12,
+};
+
+/** Replay playback: timer tick (ms) and default thread seconds per second. */
+export const REPLAY = {
+  tick: 100,
+  speed: 3600,
+};
+
+/** Minimum delay between partial renders while a thread loads (ms). */
+export const PARTIAL_RENDER_INTERVAL = 750;
+
+/**
+ * Read tracking: how long a comment must stay visible in the branch view to
+ * count as read, and the delay before new reads are saved (ms).
+ */
+export const READS = {
+  dwell: 1500,
+  saveDelay: 1000,
+};
+
+/**
+ * Debate detection: default and smallest allowed number of comments in an
+ * alternating two-author chain.
+ */
+export const DEBATES = {
+  minLength: 4,
+  shortest: 3,
+};
+
+/** Delay before pan and zoom are written to the URL (ms). */
+export const ROUTE_WRITE_DELAY = 400;
+
 /** Frontpage preview loading configuration. */
 export const FRONTPAGE_PREVIEW = {
   maxNodes: 160,
@@ -3,17 +3,8 @@
  * @module data
  */
 
-const API_BASE = "https://hacker-news.firebaseio.com/v0";
-
-/** Maps feed type names to API endpoint names. */
-const FEED_MAP = {
-  top: "topstories",
-  new: "newstories",
-  best: "beststories",
-  ask: "askstories",
-  show: "showstories",
-  job: "jobstories",
-};
+import { FETCH_RETRY, UPDATES_WINDOW } from "./config.js";
+import { getSourceOrder } from "./sources/index.js";
 
 export function parseInput(value) {
   const trimmed = value.trim();
@@ -24,20 +15,89 @@ export function parseInput(value) {
   return null;
 }
 
-async function fetchItem(id) {
-  const response = await fetch(`${API_BASE}/item/${id}.json`);
-  if (!response.ok) throw new Error(`Failed to load ${id}`);
-  return response.json();
+/**
+ * Check whether an error came from an aborted load.
+ * @param {*} error - Caught error.
+ * @returns {boolean} True for AbortError.
+ */
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException("Load cancelled", "AbortError");
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Load cancelled", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException("Load cancelled", "AbortError"));
+      },
+      { once: true },
+    );
+  });
+}
+
+/**
+ * Run a fetch task, retrying failures with exponential backoff and jitter.
+ * @param {Function} task - Returns a promise for one attempt.
+ * @param {AbortSignal} [signal] - Cancels pending retries.
+ * @returns {Promise<*>} Result of the first successful attempt.
+ */
+async function withRetry(task, signal) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await task();
+    } catch (error) {
+      if (isAbortError(error) || attempt >= FETCH_RETRY.retries) throw error;
+      const ceiling = Math.min(
+        FETCH_RETRY.maxDelay,
+        FETCH_RETRY.baseDelay * 2 ** attempt,
+      );
+      await sleep(ceiling / 2 + (Math.random() * ceiling) / 2, signal);
+    }
+  }
 }
 
-export async function fetchStoryIds(kind = "top") {
-  const feed = FEED_MAP[kind] || FEED_MAP.top;
-  const response = await fetch(`${API_BASE}/${feed}.json`);
-  if (!response.ok) throw new Error(`Failed to load ${feed}`);
-  return response.json();
+async function fetchItem(id, options = {}) {
+  let lastError = null;
+  for (const source of getSourceOrder("fetchItem")) {
+    try {
+      return await source.fetchItem(id, options);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      lastError = error;
+    }
+  }
+  throw lastError || new Error(`No source can load ${id}`);
+}
+
+export async function fetchStoryIds(kind = "top", options = {}) {
+  let lastError = null;
+  for (const source of getSourceOrder("fetchStoryIds")) {
+    try {
+      return await source.fetchStoryIds(kind, options);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Source ${source.id} failed`, error);
+      lastError = error;
+    }
+  }
+  throw lastError || new Error(`No source can load ${kind} stories`);
 }
 
-export async function fetchItemsByIds(ids, onProgress) {
+export async function fetchItemsByIds(ids, onProgress, options = {}) {
+  const { signal, fresh } = options;
   const queue = [...ids];
   const inflight = new Set();
   const concurrency = 12;
@@ -45,12 +105,12 @@ export async function fetchItemsByIds(ids, onProgress) {
   let fetched = 0;
 
   const pump = async () => {
-    while (queue.length && inflight.size < concurrency) {
+    while (queue.length && inflight.size < concurrency && !signal?.aborted) {
       const id = queue.shift();
       if (items.has(id)) continue;
-      const task = fetchItem(id)
+      const task = withRetry(() => fetchItem(id, { signal, fresh }), signal)
         .then((item) => {
-          if (!item) return;
+          if (!item || signal?.aborted) return;
           items.set(item.id, item);
           fetched += 1;
           if (onProgress && fetched % 5 === 0) {
@@ -58,6 +118,7 @@ export async function fetchItemsByIds(ids, onProgress) {
           }
         })
         .catch((error) => {
+          if (isAbortError(error)) return;
           console.warn("Fetch failed", id, error);
         })
         .finally(() => {
@@ -72,25 +133,43 @@ export async function fetchItemsByIds(ids, onProgress) {
     await Promise.race(inflight);
     await pump();
   }
+  throwIfAborted(signal);
 
   if (onProgress) onProgress(fetched, true);
   return items;
 }
 
-export async function fetchAllItems(rootId, state, onProgress) {
-  const queue = [rootId];
+/**
+ * Walk a thread item by item, starting from one or more seed IDs.
+ * @param {Object} source - Source providing `fetchItem`.
+ * @param {number[]} seedIds - IDs to start from; their replies are followed.
+ * @param {Object} state - State whose `nodes` map receives the items.
+ * @param {Function} [onProgress] - Called with (count, done).
+ * @param {Object} [options] - Request options.
+ * @param {AbortSignal} [options.signal] - Stops the walk.
+ * @param {boolean} [options.fresh] - Skip cached API responses.
+ * @returns {Promise<number[]>} IDs that still failed after retries.
+ */
+async function walkThread(source, seedIds, state, onProgress, options = {}) {
+  const { signal } = options;
+  const queue = [...seedIds];
   const inflight = new Set();
   const concurrency = 12;
+  const missing = [];
   let fetched = 0;
 
   const pump = async () => {
-    while (queue.length && inflight.size < concurrency) {
+    while (queue.length && inflight.size < concurrency && !signal?.aborted) {
       const id = queue.shift();
       if (state.nodes.has(id)) continue;
 
-      const task = fetchItem(id)
+      const task = withRetry(() => source.fetchItem(id, options), signal)
         .then((item) => {
-          if (!item) return;
+          if (signal?.aborted) return;
+          if (!item) {
+            missing.push(id);
+            return;
+          }
           state.nodes.set(item.id, item);
           fetched += 1;
           if (item.kids && item.kids.length) {
@@ -101,7 +180,9 @@ export async function fetchAllItems(rootId, state, onProgress) {
           }
         })
         .catch((error) => {
+          if (isAbortError(error)) return;
           console.warn("Fetch failed", id, error);
+          missing.push(id);
         })
         .finally(() => {
           inflight.delete(task);
@@ -116,41 +197,324 @@ export async function fetchAllItems(rootId, state, onProgress) {
     await Promise.race(inflight);
     await pump();
   }
+  throwIfAborted(signal);
 
   if (onProgress) onProgress(fetched, true);
+  return missing;
 }
 
-export async function fetchThreadLimited(
+/**
+ * Fetch whole subtrees one request each from a source with `fetchThread`.
+ * @param {Object} source - Source providing `fetchThread`.
+ * @param {number[]} ids - Subtree root IDs.
+ * @param {Object} state - State whose `nodes` map receives the items.
+ * @param {AbortSignal} [signal] - Stops the load.
+ * @returns {Promise<number[]>} IDs that still failed after retries.
+ */
+async function fetchSubtrees(source, ids, state, signal) {
+  const missing = [];
+  for (const id of ids) {
+    try {
+      const items = await withRetry(
+        () => source.fetchThread(id, { signal }),
+        signal,
+      );
+      throwIfAborted(signal);
+      for (const item of items) {
+        state.nodes.set(item.id, item);
+      }
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn("Fetch failed", id, error);
+      missing.push(id);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Load a whole thread into `state.nodes`, trying each source in order.
+ * Sources that return the whole thread in one response (Algolia) report
+ * progress once, when done; only item-by-item sources report counts along
+ * the way.
+ * @param {number} rootId - Root item ID.
+ * @param {Object} state - State whose `nodes` map receives the items.
+ * @param {Function} [onProgress] - Called with (count, done).
+ * @param {Object} [options] - Load options.
+ * @param {AbortSignal} [options.signal] - Stops the load; nothing is written
+ *   to `state.nodes` after it fires.
+ * @param {boolean} [options.fresh] - Skip cached API responses.
+ * @returns {Promise<{source: string, missing: number[]}>} Source that served
+ *   the thread and IDs of replies that could not be loaded.
+ */
+export async function fetchAllItems(rootId, state, onProgress, options = {}) {
+  const { signal, fresh } = options;
+  let lastError = null;
+  for (const source of getSourceOrder("fetchThread", "fetchItem")) {
+    try {
+      let missing = [];
+      if (source.fetchThread) {
+        const items = await withRetry(
+          () => source.fetchThread(rootId, { signal, fresh }),
+          signal,
+        );
+        throwIfAborted(signal);
+        for (const item of items) {
+          state.nodes.set(item.id, item);
+        }
+        if (onProgress) onProgress(items.length, true);
+      } else {
+        missing = await walkThread(source, [rootId], state, onProgress, {
+          signal,
+          fresh,
+        });
+        if (!state.nodes.has(rootId)) {
+          throw new Error(`Failed to load ${rootId} from ${source.id}`);
+        }
+      }
+      return { source: source.id, missing };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Source ${source.id} failed`, error);
+      lastError = error;
+    }
+  }
+  throw lastError || new Error(`No source can load ${rootId}`);
+}
+
+/**
+ * Retry items that failed earlier, along with everything below them.
+ * @param {number[]} ids - Missing item IDs.
+ * @param {Object} state - State whose `nodes` map receives the items.
+ * @param {Function} [onProgress] - Called with (count, done).
+ * @param {Object} [options] - Load options.
+ * @param {AbortSignal} [options.signal] - Stops the load.
+ * @returns {Promise<{missing: number[]}>} IDs that are still unavailable.
+ */
+export async function fetchMissingItems(ids, state, onProgress, options = {}) {
+  const { signal } = options;
+  let remaining = ids.filter((id) => !state.nodes.has(id));
+  for (const source of getSourceOrder("fetchThread", "fetchItem")) {
+    if (!remaining.length) break;
+    remaining = source.fetchThread
+      ? await fetchSubtrees(source, remaining, state, signal)
+      : await walkThread(source, remaining, state, onProgress, { signal });
+  }
+  return { missing: remaining };
+}
+
+/**
+ * Collect the items reachable from the root, preferring fresh copies.
+ * @param {number} rootId - Root item ID.
+ * @param {Map} fresh - Items re-fetched during this refresh.
+ * @param {Map} previous - Items from the earlier snapshot.
+ * @returns {Array} Items in pre-order.
+ */
+function assembleThread(rootId, fresh, previous) {
+  const items = [];
+  const stack = [rootId];
+  const seen = new Set();
+  while (stack.length) {
+    const id = stack.pop();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const item = fresh.get(id) || previous.get(id);
+    if (!item) continue;
+    items.push(item);
+    if (item.kids && item.kids.length) {
+      for (let i = item.kids.length - 1; i >= 0; i -= 1) {
+        stack.push(item.kids[i]);
+      }
+    }
+  }
+  return items;
+}
+
+/**
+ * Refresh a thread by re-fetching only what changed since a snapshot.
+ *
+ * Sources that return a whole thread in one request are simply re-read.
+ * Item-by-item sources re-fetch the root plus any thread items listed in the
+ * `updates` feed, then walk only the reply IDs that are new in their `kids`;
+ * unchanged subtrees are reused from the snapshot and removed IDs drop out.
+ * The feed only covers the last few minutes, so when the snapshot is older
+ * than `UPDATES_WINDOW`, its age is unknown or the feed fails, the whole
+ * thread is walked again instead. Every request skips cached API responses.
+ * @param {number} rootId - Root item ID.
+ * @param {Array} previousItems - Items from the earlier snapshot.
+ * @param {Function} [onProgress] - Called with (count, done).
+ * @param {Object} [options] - Load options.
+ * @param {AbortSignal} [options.signal] - Stops the refresh.
+ * @param {number[]} [options.missing] - IDs that failed last time; retried.
+ * @param {number|null} [options.since] - When the snapshot was fetched (ms).
+ * @returns {Promise<{source: string, items: Array, missing: number[],
+ *   removed: number[], requests: number}>} Merged thread and traffic summary.
+ */
+export async function fetchThreadDelta(
   rootId,
-  state,
+  previousItems,
   onProgress,
   options = {},
 ) {
-  const maxNodes = Number.isFinite(options.maxNodes)
-    ? options.maxNodes
-    : Infinity;
-  const maxDepth = Number.isFinite(options.maxDepth)
-    ? options.maxDepth
-    : Infinity;
-  const concurrency = Number.isFinite(options.concurrency)
-    ? options.concurrency
-    : 10;
+  const { signal, since = null } = options;
+  const previous = new Map();
+  for (const item of previousItems) previous.set(item.id, item);
+  const recent = since !== null && Date.now() - since <= UPDATES_WINDOW;
+
+  let lastError = null;
+  for (const source of getSourceOrder("fetchThread", "fetchItem")) {
+    try {
+      const fresh = { nodes: new Map() };
+      let missing = [];
+      let requests = 0;
+
+      let updated = null;
+      if (!source.fetchThread && recent && source.fetchUpdates) {
+        try {
+          updated = await source.fetchUpdates({ signal, fresh: true });
+          requests += 1;
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          console.warn("Updates feed failed", error);
+        }
+      }
+
+      if (source.fetchThread) {
+        const items = await withRetry(
+          () => source.fetchThread(rootId, { signal, fresh: true }),
+          signal,
+        );
+        throwIfAborted(signal);
+        for (const item of items) fresh.nodes.set(item.id, item);
+        requests = 1;
+        if (onProgress) onProgress(items.length, true);
+      } else if (!updated) {
+        let walked = 0;
+        missing = await walkThread(
+          source,
+          [rootId],
+          fresh,
+          (count, done) => {
+            walked = count;
+            if (onProgress) onProgress(count, done);
+          },
+          { signal, fresh: true },
+        );
+        requests += walked + missing.length;
+        if (!fresh.nodes.has(rootId)) {
+          throw new Error(`Failed to load ${rootId} from ${source.id}`);
+        }
+      } else {
+        const seeds = new Set([rootId]);
+        for (const id of updated) {
+          if (previous.has(id)) seeds.add(id);
+        }
+
+        const results = await Promise.all(
+          Array.from(seeds, (id) =>
+            withRetry(
+              () => source.fetchItem(id, { signal, fresh: true }),
+              signal,
+            ).catch((error) => {
+              if (isAbortError(error)) throw error;
+              console.warn("Fetch failed", id, error);
+              return null;
+            }),
+          ),
+        );
+        throwIfAborted(signal);
+        requests += seeds.size;
+
+        const newKids = [...(options.missing || [])];
+        for (const item of results) {
+          if (!item) continue;
+          fresh.nodes.set(item.id, item);
+          const before = new Set(previous.get(item.id)?.kids || []);
+          for (const kid of item.kids || []) {
+            if (!before.has(kid) && !previous.has(kid)) newKids.push(kid);
+          }
+        }
+        if (!fresh.nodes.has(rootId)) {
+          throw new Error(`Failed to load ${rootId} from ${source.id}`);
+        }
+
+        let walked = 0;
+        missing = await walkThread(
+          source,
+          newKids,
+          fresh,
+          (count, done) => {
+            walked = count;
+            if (onProgress) onProgress(seeds.size + count, done);
+          },
+          { signal, fresh: true },
+        );
+        requests += walked + missing.length;
+      }
+
+      const items = assembleThread(rootId, fresh.nodes, previous);
+      const kept = new Set(items.map((item) => item.id));
+      const removed = previousItems
+        .map((item) => item.id)
+        .filter((id) => !kept.has(id));
+      return { source: source.id, items, missing, removed, requests };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Source ${source.id} failed`, error);
+      lastError = error;
+    }
+  }
+  throw lastError || new Error(`No source can refresh ${rootId}`);
+}
+
+/**
+ * Copy items into `state.nodes` breadth-first, honoring node/depth limits.
+ * @param {Object} state - Target state.
+ * @param {number} rootId - Root item ID.
+ * @param {Array} items - Complete item list for the thread.
+ * @param {number} maxNodes - Maximum items to keep.
+ * @param {number} maxDepth - Maximum depth to descend.
+ * @returns {number} Number of items kept.
+ */
+function takeLimited(state, rootId, items, maxNodes, maxDepth) {
+  const itemsById = new Map();
+  for (const item of items) itemsById.set(item.id, item);
+
+  const queue = [{ id: rootId, depth: 0 }];
+  let count = 0;
+  while (queue.length && count < maxNodes) {
+    const { id, depth } = queue.shift();
+    if (state.nodes.has(id)) continue;
+    const item = itemsById.get(id);
+    if (!item) continue;
+    state.nodes.set(id, item);
+    count += 1;
+    if (item.kids && item.kids.length && depth < maxDepth) {
+      for (const kid of item.kids) {
+        queue.push({ id: kid, depth: depth + 1 });
+      }
+    }
+  }
+  return count;
+}
 
+async function walkThreadLimited(source, rootId, state, onProgress, limits) {
+  const { maxNodes, maxDepth, concurrency, signal } = limits;
   const queue = [{ id: rootId, depth: 0 }];
   const inflight = new Set();
   let fetched = 0;
 
   const pump = async () => {
-    while (queue.length && inflight.size < concurrency) {
+    while (queue.length && inflight.size < concurrency && !signal?.aborted) {
       const entry = queue.shift();
       if (!entry) continue;
       const { id, depth } = entry;
       if (state.nodes.has(id)) continue;
       if (fetched >= maxNodes) continue;
 
-      const task = fetchItem(id)
+      const task = withRetry(() => source.fetchItem(id, { signal }), signal)
         .then((item) => {
-          if (!item) return;
+          if (!item || signal?.aborted) return;
           state.nodes.set(item.id, item);
           fetched += 1;
           if (item.kids && item.kids.length && depth < maxDepth) {
@@ -163,6 +527,7 @@ export async function fetchThreadLimited(
           }
         })
         .catch((error) => {
+          if (isAbortError(error)) return;
           console.warn("Fetch failed", id, error);
         })
         .finally(() => {
@@ -178,13 +543,89 @@ export async function fetchThreadLimited(
     await Promise.race(inflight);
     await pump();
   }
+  throwIfAborted(signal);
 
+  if (!state.nodes.has(rootId)) {
+    throw new Error(`Failed to load ${rootId} from ${source.id}`);
+  }
   if (onProgress) onProgress(fetched, true);
 }
 
+export async function fetchThreadLimited(
+  rootId,
+  state,
+  onProgress,
+  options = {},
+) {
+  const limits = {
+    maxNodes: Number.isFinite(options.maxNodes) ? options.maxNodes : Infinity,
+    maxDepth: Number.isFinite(options.maxDepth) ? options.maxDepth : Infinity,
+    concurrency: Number.isFinite(options.concurrency)
+      ? options.concurrency
+      : 10,
+    signal: options.signal,
+  };
+
+  let lastError = null;
+  for (const source of getSourceOrder("fetchThread", "fetchItem")) {
+    try {
+      if (source.fetchThread) {
+        const items = await withRetry(
+          () => source.fetchThread(rootId, { signal: limits.signal }),
+          limits.signal,
+        );
+        throwIfAborted(limits.signal);
+        const count = takeLimited(
+          state,
+          rootId,
+          items,
+          limits.maxNodes,
+          limits.maxDepth,
+        );
+        if (onProgress) onProgress(count, true);
+      } else {
+        await walkThreadLimited(source, rootId, state, onProgress, limits);
+      }
+      return { source: source.id };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Source ${source.id} failed`, error);
+      lastError = error;
+    }
+  }
+  throw lastError || new Error(`No source can load ${rootId}`);
+}
+
+/**
+ * Stand-in node for a reply that is known but has no item: either it could
+ * not be loaded or, while `state.loading` is set, it has not arrived yet.
+ * @param {string} flag - `"missing"` or `"pending"`.
+ * @returns {Object} Tree node carrying the flag.
+ */
+function buildPlaceholder(id, state, depth, parentId, flag) {
+  const node = {
+    id,
+    depth,
+    parentId,
+    children: [],
+    [flag]: true,
+  };
+  state.depthMap.set(id, depth);
+  state.treeIndex.set(id, node);
+  return node;
+}
+
 export function buildTree(id, state, depth = 0, parentId = null) {
   const item = state.nodes.get(id);
-  if (!item) return null;
+  if (!item) {
+    if (parentId !== null && state.missing?.has(id)) {
+      return buildPlaceholder(id, state, depth, parentId, "missing");
+    }
+    if (parentId !== null && state.loading) {
+      return buildPlaceholder(id, state, depth, parentId, "pending");
+    }
+    return null;
+  }
 
   state.depthMap.set(id, depth);
 
@@ -217,6 +658,34 @@ export function computeDescendants(node, state) {
   return total;
 }
 
+/**
+ * Whether a node was already posted at `state.cutoff` (Unix seconds).
+ * Placeholders have no time and are hidden while a cutoff is set.
+ */
+export function isBeforeCutoff(node, state) {
+  if (state.cutoff === null || state.cutoff === undefined) return true;
+  const time = state.nodes.get(node.id)?.time;
+  return Number.isFinite(time) && time <= state.cutoff;
+}
+
+/**
+ * Node IDs in reading order: depth-first, replies in thread order.
+ * @param {Object} tree - Tree root.
+ * @returns {number[]} IDs, root first.
+ */
+export function readingOrder(tree) {
+  const order = [];
+  const stack = [tree];
+  while (stack.length) {
+    const node = stack.pop();
+    order.push(node.id);
+    for (let i = node.children.length - 1; i >= 0; i -= 1) {
+      stack.push(node.children[i]);
+    }
+  }
+  return order;
+}
+
 export function buildVisibleTree(node, state) {
   const visible = {
     ...node,
@@ -225,6 +694,8 @@ export function buildVisibleTree(node, state) {
 
   if (!state.collapsed.has(node.id)) {
     for (const child of node.children) {
+      if (!isBeforeCutoff(child, state)) continue;
+      if (state.visible && !state.visible.has(child.id)) continue;
       visible.children.push(buildVisibleTree(child, state));
     }
   }
@@ -3,10 +3,119 @@
  * @module db
  */
 
+import { buildIndexRecords } from "./search-index.js";
+
 const DB_NAME = "hn-thread-atlas";
-const DB_VERSION = 2;
+
+/** How long an upgrade may wait for other tabs before callers give up (ms). */
+const BLOCKED_TIMEOUT = 5000;
+
+/**
+ * Error names that mean the database itself is unusable. A missing store or
+ * index (`NotFoundError`) is a bug in the code, not in the data, so it never
+ * wipes what the user saved.
+ */
+const CORRUPTION_ERRORS = new Set(["UnknownError"]);
+
+function ensureStore(db, name, keyPath, indexes = []) {
+  if (db.objectStoreNames.contains(name)) return;
+  const store = db.createObjectStore(name, { keyPath });
+  for (const index of indexes) {
+    store.createIndex(index, index, { unique: false });
+  }
+}
+
+/**
+ * Schema migrations keyed by the version they upgrade to. Each runs inside
+ * the upgrade transaction, in order, and may reshape existing records.
+ */
+const MIGRATIONS = {
+  1: (db) => {
+    ensureStore(db, "threads", "id", ["fetchedAt"]);
+    ensureStore(db, "llm", "key", ["savedAt"]);
+  },
+  2: (db) => {
+    ensureStore(db, "frontpage", "key", ["fetchedAt"]);
+  },
+  3: (db, tx) => {
+    // LRU metadata for the cache manager, kept apart from the items so
+    // listing, pruning and touching a thread never load them.
+    ensureStore(db, "threadMeta", "id", ["accessedAt"]);
+    const meta = tx.objectStore("threadMeta");
+    const request = tx.objectStore("threads").openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const entry = cursor.value;
+      const items = entry.items || [];
+      meta.put({
+        id: entry.id,
+        title:
+          items.find((item) => String(item.id) === entry.id)?.title || null,
+        itemCount: items.length,
+        size: JSON.stringify(items).length,
+        fetchedAt: entry.fetchedAt,
+        accessedAt: entry.fetchedAt || "",
+        pinned: false,
+        complete: entry.complete !== false,
+      });
+      cursor.continue();
+    };
+  },
+  4: (db) => {
+    ensureStore(db, "snapshots", "key", ["rootId"]);
+    ensureStore(db, "snapshotHeads", "rootId");
+  },
+  5: (db) => {
+    ensureStore(db, "bookmarks", "id", ["rootId"]);
+  },
+  6: (db) => {
+    ensureStore(db, "reads", "rootId");
+  },
+  7: (db) => {
+    ensureStore(db, "filters", "name");
+  },
+  8: (db, tx) => {
+    // Cross-thread search; index the threads cached so far.
+    ensureStore(db, "searchIndex", ["term", "rootId"], ["rootId"]);
+    const index = tx.objectStore("searchIndex");
+    const request = tx.objectStore("threads").openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const entry = cursor.value;
+      for (const record of buildIndexRecords(entry.id, entry.items || [])) {
+        index.put(record);
+      }
+      cursor.continue();
+    };
+  },
+};
+
+const DB_VERSION = Math.max(...Object.keys(MIGRATIONS).map(Number));
 
 let dbPromise = null;
+let connection = null;
+let resetDone = false;
+const listeners = new Set();
+
+function emit(type, detail = {}) {
+  for (const listener of listeners) listener({ type, ...detail });
+}
+
+/**
+ * Subscribe to database lifecycle events:
+ * - `blocked`: an upgrade waits for other tabs to close their connection.
+ * - `versionchange`: another tab upgraded the database; reload to continue.
+ * - `outdated`: the stored database is newer than this code.
+ * - `reset`: the database was deleted and recreated after an error.
+ * @param {Function} listener - Called with `{type, ...detail}`.
+ * @returns {Function} Unsubscribe.
+ */
+export function onDbEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
 
 export function requestToPromise(request) {
   return new Promise((resolve, reject) => {
@@ -23,30 +132,123 @@ export function txComplete(tx) {
   });
 }
 
-export async function getDb() {
-  if (dbPromise) return dbPromise;
+function dropConnection() {
+  if (connection) connection.close();
+  connection = null;
+  dbPromise = null;
+}
 
-  dbPromise = new Promise((resolve, reject) => {
+function openDb() {
+  return new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
+    let settled = false;
+    let blockedTimer = 0;
+    const settle = (callback, value) => {
+      clearTimeout(blockedTimer);
+      if (settled) return false;
+      settled = true;
+      callback(value);
+      return true;
+    };
 
-    request.onupgradeneeded = () => {
+    request.onupgradeneeded = (event) => {
       const db = request.result;
-      if (!db.objectStoreNames.contains("threads")) {
-        const store = db.createObjectStore("threads", { keyPath: "id" });
-        store.createIndex("fetchedAt", "fetchedAt", { unique: false });
+      let version = event.oldVersion;
+      while (version < DB_VERSION) {
+        version += 1;
+        MIGRATIONS[version]?.(db, request.transaction);
       }
-      if (!db.objectStoreNames.contains("llm")) {
-        const store = db.createObjectStore("llm", { keyPath: "key" });
-        store.createIndex("savedAt", "savedAt", { unique: false });
-      }
-      if (!db.objectStoreNames.contains("frontpage")) {
-        const store = db.createObjectStore("frontpage", { keyPath: "key" });
-        store.createIndex("fetchedAt", "fetchedAt", { unique: false });
+    };
+
+    request.onblocked = () => {
+      emit("blocked");
+      blockedTimer = setTimeout(() => {
+        settle(
+          reject,
+          new DOMException("Upgrade blocked by another tab", "TimeoutError"),
+        );
+      }, BLOCKED_TIMEOUT);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // A late success after a timeout would only hold up the next upgrade.
+      if (!settle(resolve, db)) {
+        db.close();
+        return;
       }
+      db.onversionchange = (event) => {
+        dropConnection();
+        if (event.newVersion !== null) {
+          emit("versionchange", { version: event.newVersion });
+        }
+      };
+      connection = db;
     };
+    request.onerror = () => settle(reject, request.error);
+  });
+}
 
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
+/**
+ * Delete the database so the next open recreates it empty. Runs at most
+ * once per page load so a persistent failure cannot wipe the cache over and
+ * over.
+ * @param {Error} error - The failure that triggered the reset.
+ * @returns {Promise<boolean>} True if the database was reset.
+ */
+async function resetDatabase(error) {
+  if (resetDone) return false;
+  resetDone = true;
+  console.warn("Resetting IndexedDB after error", error);
+  if (connection) connection.close();
+  connection = null;
+  try {
+    await requestToPromise(indexedDB.deleteDatabase(DB_NAME));
+  } catch (deleteError) {
+    console.warn("IndexedDB reset failed", deleteError);
+    return false;
+  }
+  emit("reset", { error });
+  return true;
+}
+
+/**
+ * React to an error from a database operation. Closed connections are
+ * reopened by the next `getDb` call; storage failures reset the database.
+ * Anything else is left for the caller to report.
+ * @param {Error} error - Error thrown by a transaction or request.
+ */
+export async function handleDbError(error) {
+  if (
+    error?.name === "InvalidStateError" ||
+    error?.name === "TransactionInactiveError"
+  ) {
+    dropConnection();
+  } else if (CORRUPTION_ERRORS.has(error?.name)) {
+    dbPromise = null;
+    await resetDatabase(error);
+  }
+}
+
+/**
+ * Open the database, running pending migrations. A database that fails to
+ * open for any reason other than a newer stored version or a blocked upgrade
+ * is reset and opened again.
+ * @returns {Promise<IDBDatabase>}
+ */
+export async function getDb() {
+  if (dbPromise) return dbPromise;
+
+  const pending = openDb().catch(async (error) => {
+    if (error?.name === "VersionError") emit("outdated");
+    const recoverable =
+      error?.name !== "VersionError" && error?.name !== "TimeoutError";
+    if (!recoverable || !(await resetDatabase(error))) throw error;
+    return openDb();
+  });
+  dbPromise = pending;
+  pending.catch(() => {
+    if (dbPromise === pending) dbPromise = null;
   });
 
   return dbPromise;
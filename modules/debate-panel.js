@@ -0,0 +1,80 @@
+/**
+ * Debates panel: back-and-forth reply chains of the open thread, ranked,
+ * with jump-to.
+ * @module debate-panel
+ */
+
+import { snippetFromItem } from "./ui.js";
+import { escapeHtml } from "./utils.js";
+import { DEBATES } from "./config.js";
+
+const SNIPPET_LENGTH = 120;
+
+function buildRow(state, debate, index) {
+  const [first] = debate.ids;
+  const text = snippetFromItem(state.nodes.get(first), `#${first}`);
+  const snippet =
+    text.length > SNIPPET_LENGTH
+      ? `${text.slice(0, SNIPPET_LENGTH - 3)}...`
+      : text;
+  const startDepth = state.depthMap.get(first) ?? 0;
+  const meta = `${debate.ids.length} comments · depth ${startDepth}–${debate.depth}`;
+  const current = debate.ids.includes(state.selectedId) ? " current" : "";
+  return `<li class="cache-item${current}" data-debate="${index}">
+    <div class="cache-info">
+      <button class="cache-open" data-action="open" title="Jump to the start of this exchange">${escapeHtml(`${debate.authors[0]} ↔ ${debate.authors[1]}`)}</button>
+      <div class="cache-meta">${escapeHtml(meta)}</div>
+      <div class="cache-meta">${escapeHtml(snippet)}</div>
+    </div>
+    <button class="btn small ghost" data-action="end" title="Jump to the last reply">End</button>
+  </li>`;
+}
+
+/**
+ * Redraw the debate list.
+ * @param {Object} el - DOM element references.
+ * @param {Object} state - Application state.
+ * @param {Array} debates - Result of `findDebates`.
+ */
+export function renderDebatePanel(el, state, debates) {
+  if (!el.debatePanel) return;
+  el.debateSummary.textContent = `Debates (${debates.length})`;
+  el.debateList.innerHTML = debates.length
+    ? debates.map((debate, index) => buildRow(state, debate, index)).join("")
+    : `<li class="cache-empty">${state.tree ? "No back-and-forth chains this long." : "Load a thread to find debates."}</li>`;
+}
+
+/**
+ * Wire panel actions.
+ * @param {Object} el - DOM element references.
+ * @param {Object} handlers - Callbacks.
+ * @param {Function} handlers.onOpen - Called with `(index, atEnd)` to jump
+ *   to the first (or last) comment of a listed debate.
+ * @param {Function} handlers.onMinLength - Called with the new minimum
+ *   chain length.
+ */
+export function setupDebatePanel(el, handlers) {
+  if (!el.debatePanel) return;
+
+  el.debateMinLength.min = String(DEBATES.shortest);
+  el.debateMinLength.value = String(DEBATES.minLength);
+
+  el.debateList.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-action]");
+    const row = event.target.closest("[data-debate]");
+    if (!button || !row) return;
+    handlers.onOpen(
+      Number(row.dataset.debate),
+      button.dataset.action === "end",
+    );
+  });
+
+  el.debateMinLength.addEventListener("change", () => {
+    const value = Math.max(
+      DEBATES.shortest,
+      Math.round(Number(el.debateMinLength.value)) || DEBATES.minLength,
+    );
+    el.debateMinLength.value = String(value);
+    handlers.onMinLength(value);
+  });
+}
@@ -0,0 +1,79 @@
+/**
+ * Debate detection: reply chains where two authors take turns
+ * (A→B→A→B...), the back-and-forth exchanges of a thread.
+ * @module debates
+ */
+
+import { isBeforeCutoff } from "./data.js";
+
+function authorOf(state, id) {
+  const item = state.nodes.get(id);
+  return item?.deleted || item?.dead ? null : item?.by || null;
+}
+
+/**
+ * Find alternating two-author reply chains. A chain ends where no reply
+ * continues the alternation; where it forks, each branch is its own chain
+ * sharing the common start. Replies hidden by the replay cutoff are skipped.
+ * @param {Object} state - Application state.
+ * @param {number} minLength - Fewest comments a chain must have.
+ * @returns {Array<{ids: number[], authors: string[], depth: number}>}
+ *   Chains from the top of the tree down, longest first, then deepest
+ *   (`depth` is where the chain ends).
+ */
+export function findDebates(state, minLength) {
+  if (!state.tree) return [];
+  const debates = [];
+  const continues = (chain, author) =>
+    chain.length < 2 || author === authorOf(state, chain[chain.length - 2]);
+
+  const walk = (node, chain) => {
+    const author = authorOf(state, node.id);
+    const children = node.children.filter((child) =>
+      isBeforeCutoff(child, state),
+    );
+    let extended = false;
+    for (const child of children) {
+      const childAuthor = authorOf(state, child.id);
+      if (!author || !childAuthor || childAuthor === author) {
+        walk(child, childAuthor ? [child.id] : []);
+      } else if (continues(chain, childAuthor)) {
+        extended = true;
+        walk(child, [...chain, child.id]);
+      } else {
+        walk(child, [node.id, child.id]);
+      }
+    }
+    if (!extended && chain.length >= minLength) {
+      debates.push({
+        ids: chain,
+        authors: [authorOf(state, chain[0]), authorOf(state, chain[1])],
+        depth: state.depthMap.get(node.id) ?? 0,
+      });
+    }
+  };
+
+  const rootAuthor = authorOf(state, state.tree.id);
+  walk(state.tree, rootAuthor ? [state.tree.id] : []);
+  return debates.sort(
+    (a, b) => b.ids.length - a.ids.length || b.depth - a.depth,
+  );
+}
+
+/**
+ * Item and link sets for marking debates in layouts.
+ * @param {Array} debates - Result of `findDebates`.
+ * @returns {{nodes: Set<number>, links: Set<number>}} `links` holds the
+ *   child end of every reply link inside a chain.
+ */
+export function debateMarks(debates) {
+  const nodes = new Set();
+  const links = new Set();
+  for (const { ids } of debates) {
+    ids.forEach((id, index) => {
+      nodes.add(id);
+      if (index > 0) links.add(id);
+    });
+  }
+  return { nodes, links };
+}
@@ -8,9 +8,32 @@ export const el = {
   input: document.getElementById("thread-input"),
   loadBtn: document.getElementById("load-btn"),
   refreshBtn: document.getElementById("refresh-btn"),
+  sourceSelect: document.getElementById("source-select"),
+  followToggle: document.getElementById("follow-toggle"),
+  followInterval: document.getElementById("follow-interval"),
+  followPause: document.getElementById("follow-pause"),
+  snapshotSelect: document.getElementById("snapshot-select"),
+  compareSelect: document.getElementById("compare-select"),
+  replayPlay: document.getElementById("replay-play"),
+  replaySlider: document.getElementById("replay-slider"),
+  replaySpeed: document.getElementById("replay-speed"),
+  replayLabel: document.getElementById("replay-label"),
+  exportFormat: document.getElementById("export-format"),
+  exportBtn: document.getElementById("export-btn"),
+  importBtn: document.getElementById("import-btn"),
+  importFile: document.getElementById("import-file"),
+  cachePanel: document.getElementById("cache-panel"),
+  cacheSummary: document.getElementById("cache-summary"),
+  cacheUsage: document.getElementById("cache-usage"),
+  cacheList: document.getElementById("cache-list"),
+  cacheDeleteSelected: document.getElementById("cache-delete-selected"),
+  cacheClear: document.getElementById("cache-clear"),
+  cacheClearAll: document.getElementById("cache-clear-all"),
   fitBtn: document.getElementById("fit-btn"),
   centerBtn: document.getElementById("center-btn"),
   layoutSelect: document.getElementById("layout-select"),
+  layoutMetricField: document.getElementById("layout-metric-field"),
+  layoutMetric: document.getElementById("layout-metric"),
   stats: document.getElementById("stats"),
   frontpageKind: document.getElementById("frontpage-kind"),
   frontpageLimit: document.getElementById("frontpage-limit"),
@@ -20,8 +43,55 @@ export const el = {
   graphLayer: document.getElementById("graph-layer"),
   graphTooltip: document.getElementById("graph-tooltip"),
   status: document.getElementById("status"),
+  cancelBtn: document.getElementById("cancel-btn"),
+  retryMissingBtn: document.getElementById("retry-missing-btn"),
+  syncBtn: document.getElementById("sync-btn"),
+  offlinePill: document.getElementById("offline-pill"),
+  searchInput: document.getElementById("search-input"),
+  searchCase: document.getElementById("search-case"),
+  searchRegex: document.getElementById("search-regex"),
+  searchCount: document.getElementById("search-count"),
+  searchPrev: document.getElementById("search-prev"),
+  searchNext: document.getElementById("search-next"),
+  filterInput: document.getElementById("filter-input"),
+  filterMode: document.getElementById("filter-mode"),
+  filterSaved: document.getElementById("filter-saved"),
+  filterSave: document.getElementById("filter-save"),
+  filterDelete: document.getElementById("filter-delete"),
+  filterError: document.getElementById("filter-error"),
+  prevUnreadBtn: document.getElementById("prev-unread-btn"),
+  nextUnreadBtn: document.getElementById("next-unread-btn"),
+  bookmarkBtn: document.getElementById("bookmark-btn"),
+  bookmarkNoteField: document.getElementById("bookmark-note-field"),
+  bookmarkNote: document.getElementById("bookmark-note"),
+  debatePanel: document.getElementById("debate-panel"),
+  debateSummary: document.getElementById("debate-summary"),
+  debateMinLength: document.getElementById("debate-min-length"),
+  debateList: document.getElementById("debate-list"),
+  bookmarkPanel: document.getElementById("bookmark-panel"),
+  bookmarkSummary: document.getElementById("bookmark-summary"),
+  bookmarkUsage: document.getElementById("bookmark-usage"),
+  bookmarkList: document.getElementById("bookmark-list"),
+  cacheSearchPanel: document.getElementById("cache-search-panel"),
+  cacheSearchInput: document.getElementById("cache-search-input"),
+  cacheSearchUsage: document.getElementById("cache-search-usage"),
+  cacheSearchList: document.getElementById("cache-search-list"),
   selection: document.getElementById("selection"),
   detailTitle: document.getElementById("detail-title"),
+  spotlightPanel: document.getElementById("spotlight-panel"),
+  spotlightTitle: document.getElementById("spotlight-title"),
+  spotlightMeta: document.getElementById("spotlight-meta"),
+  spotlightRepliedTo: document.getElementById("spotlight-replied-to"),
+  spotlightRepliedBy: document.getElementById("spotlight-replied-by"),
+  spotlightList: document.getElementById("spotlight-list"),
+  spotlightPrev: document.getElementById("spotlight-prev"),
+  spotlightNext: document.getElementById("spotlight-next"),
+  spotlightClose: document.getElementById("spotlight-close"),
+  exchangePanel: document.getElementById("exchange-panel"),
+  exchangeTitle: document.getElementById("exchange-title"),
+  exchangeMeta: document.getElementById("exchange-meta"),
+  exchangeList: document.getElementById("exchange-list"),
+  exchangeClose: document.getElementById("exchange-close"),
   detailMeta: document.getElementById("detail-meta"),
   detailBody: document.getElementById("detail-body"),
   branchView: document.getElementById("branch-view"),
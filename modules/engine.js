@@ -0,0 +1,340 @@
+/**
+ * Thread engine: item fetching, tree building and layout geometry.
+ * Runs inside the pipeline worker, or inline on the main thread when workers
+ * are unavailable. Trees and layouts cross the worker boundary in the compact
+ * array form produced by `packTree` and `packLayout`.
+ * @module engine
+ */
+
+import {
+  fetchAllItems,
+  fetchMissingItems,
+  fetchThreadDelta,
+  buildTree,
+  computeDescendants,
+  buildVisibleTree,
+} from "./data.js";
+import { getLayout } from "./layouts/index.js";
+import { setActiveSource } from "./sources/index.js";
+
+const FLAG_MISSING = 1;
+const FLAG_PENDING = 2;
+
+/**
+ * Flatten a tree into pre-order arrays with parent indexes.
+ * @param {Object} root - Tree from `buildTree`.
+ * @returns {{ids: Float64Array, parents: Int32Array, flags: Uint8Array}}
+ */
+export function packTree(root) {
+  const ids = [];
+  const parents = [];
+  const flags = [];
+  const stack = [[root, -1]];
+  while (stack.length) {
+    const [node, parentIndex] = stack.pop();
+    const index = ids.length;
+    ids.push(node.id);
+    parents.push(parentIndex);
+    flags.push(
+      (node.missing ? FLAG_MISSING : 0) | (node.pending ? FLAG_PENDING : 0),
+    );
+    for (let i = node.children.length - 1; i >= 0; i -= 1) {
+      stack.push([node.children[i], index]);
+    }
+  }
+  return {
+    ids: Float64Array.from(ids),
+    parents: Int32Array.from(parents),
+    flags: Uint8Array.from(flags),
+  };
+}
+
+/**
+ * Rebuild a packed tree into `state.tree` and its derived maps (`treeIndex`,
+ * `depthMap`, `descCount`, `subtreeSize`), matching what `buildTree` and
+ * `computeDescendants` would produce.
+ * @param {Object} state - Target state.
+ * @param {Object|null} packed - Result of `packTree`.
+ * @returns {Object|null} Root node.
+ */
+export function applyTree(state, packed) {
+  state.treeIndex.clear();
+  state.depthMap.clear();
+  state.descCount.clear();
+  state.subtreeSize.clear();
+  state.tree = null;
+  if (!packed || !packed.ids.length) return null;
+
+  const { ids, parents, flags } = packed;
+  const nodes = new Array(ids.length);
+  for (let i = 0; i < ids.length; i += 1) {
+    const parent = parents[i] >= 0 ? nodes[parents[i]] : null;
+    const node = {
+      id: ids[i],
+      depth: parent ? parent.depth + 1 : 0,
+      parentId: parent ? parent.id : null,
+      children: [],
+    };
+    if (flags[i] & FLAG_MISSING) node.missing = true;
+    if (flags[i] & FLAG_PENDING) node.pending = true;
+    if (parent) parent.children.push(node);
+    nodes[i] = node;
+    state.treeIndex.set(node.id, node);
+    state.depthMap.set(node.id, node.depth);
+  }
+
+  const sizes = new Int32Array(ids.length).fill(1);
+  for (let i = ids.length - 1; i > 0; i -= 1) {
+    sizes[parents[i]] += sizes[i];
+  }
+  for (let i = 0; i < ids.length; i += 1) {
+    state.subtreeSize.set(ids[i], sizes[i]);
+    state.descCount.set(ids[i], sizes[i] - 1);
+  }
+
+  state.tree = nodes[0];
+  return state.tree;
+}
+
+/**
+ * Store the scalar fields of records column-wise. Numbers and booleans go
+ * into typed arrays (NaN marks an absent value); other scalars into plain
+ * arrays. Object-valued fields (children, link endpoints) are skipped.
+ */
+function packColumns(records, skip) {
+  const columns = {};
+  records.forEach((record, index) => {
+    for (const [key, value] of Object.entries(record)) {
+      if (skip.includes(key) || value === null || value === undefined) {
+        continue;
+      }
+      const type = typeof value;
+      if (type === "object" || type === "function") continue;
+      if (!columns[key]) {
+        columns[key] =
+          type === "number" || type === "boolean"
+            ? { type, values: new Float64Array(records.length).fill(NaN) }
+            : { type, values: new Array(records.length) };
+      }
+      columns[key].values[index] = type === "boolean" ? Number(value) : value;
+    }
+  });
+  return columns;
+}
+
+function unpackColumns(records, columns) {
+  for (const [key, { type, values }] of Object.entries(columns)) {
+    records.forEach((record, index) => {
+      const value = values[index];
+      if (value === undefined || Number.isNaN(value)) return;
+      record[key] = type === "boolean" ? value === 1 : value;
+    });
+  }
+  return records;
+}
+
+/**
+ * Convert a layout result into column arrays with index-based links.
+ * @param {Object} result - Return value of a layout's `compute`.
+ * @returns {Object} Packed layout for `unpackLayout`.
+ */
+export function packLayout(result) {
+  const { nodes, links = [], ...meta } = result;
+  const index = new Map(nodes.map((node, i) => [node, i]));
+  return {
+    ids: nodes.map((node) => node.id),
+    nodes: packColumns(nodes, ["id", "children"]),
+    from: Int32Array.from(links, (link) => index.get(link.from) ?? -1),
+    to: Int32Array.from(links, (link) => index.get(link.to) ?? -1),
+    links: packColumns(links, ["from", "to"]),
+    meta,
+  };
+}
+
+/**
+ * Restore a packed layout into the `{nodes, links, ...}` shape that layout
+ * `render` functions expect.
+ * @param {Object} packed - Result of `packLayout`.
+ * @returns {Object} Layout result.
+ */
+export function unpackLayout(packed) {
+  const nodes = unpackColumns(
+    packed.ids.map((id) => ({ id })),
+    packed.nodes,
+  );
+  const links = unpackColumns(
+    Array.from(packed.from, (from, i) => ({
+      from: nodes[from],
+      to: nodes[packed.to[i]],
+    })),
+    packed.links,
+  );
+  return { ...packed.meta, nodes, links };
+}
+
+/**
+ * Create an engine holding one thread. Every operation takes an arguments
+ * object and `{signal, onProgress}`; operations that change items return the
+ * rebuilt tree in packed form.
+ * @returns {Object} Engine operations keyed by name.
+ */
+export function createThreadEngine() {
+  const state = {
+    nodes: new Map(),
+    rootId: null,
+    tree: null,
+    treeIndex: new Map(),
+    depthMap: new Map(),
+    descCount: new Map(),
+    subtreeSize: new Map(),
+    collapsed: new Set(),
+    cutoff: null,
+    /** Filter result to keep (IDs), or null to keep every node. */
+    visible: null,
+    missing: new Set(),
+    loading: false,
+  };
+  /** Items already handed out by `snapshot` during the current load. */
+  const delivered = new Set();
+  /** Bumped whenever the held thread is replaced. */
+  let generation = 0;
+  /** When the held items were last fetched (ms); null if unknown. */
+  let fetchedAt = null;
+
+  const reset = (rootId) => {
+    generation += 1;
+    state.nodes.clear();
+    state.missing.clear();
+    state.collapsed.clear();
+    state.tree = null;
+    state.rootId = rootId;
+    delivered.clear();
+    fetchedAt = null;
+  };
+
+  const build = () => {
+    state.treeIndex.clear();
+    state.depthMap.clear();
+    state.descCount.clear();
+    state.subtreeSize.clear();
+    state.tree = buildTree(state.rootId, state);
+    if (!state.tree) return null;
+    computeDescendants(state.tree, state);
+    return packTree(state.tree);
+  };
+
+  const setMissing = (ids) => {
+    state.missing.clear();
+    for (const id of ids) state.missing.add(id);
+  };
+
+  /** The worker has its own source registry; follow the main thread's pick. */
+  const useSource = (sourceId) => {
+    if (sourceId) setActiveSource(sourceId);
+  };
+
+  /** Throw if the thread changed since an operation started. */
+  const assertCurrent = (rootId, since = generation) => {
+    if (state.rootId !== rootId || generation !== since) {
+      throw new DOMException("Superseded by another load", "AbortError");
+    }
+  };
+
+  return {
+    async load({ rootId, sourceId, fresh }, { signal, onProgress } = {}) {
+      reset(rootId);
+      const since = generation;
+      useSource(sourceId);
+      state.loading = true;
+      const started = Date.now();
+      try {
+        const result = await fetchAllItems(rootId, state, onProgress, {
+          signal,
+          fresh,
+        });
+        assertCurrent(rootId, since);
+        setMissing(result.missing);
+        state.loading = false;
+        fetchedAt = started;
+        return {
+          source: result.source,
+          missing: result.missing,
+          items: Array.from(state.nodes.values()),
+          tree: build(),
+        };
+      } finally {
+        if (generation === since) state.loading = false;
+      }
+    },
+
+    /** Partial tree of a load in progress, plus items not sent before. */
+    snapshot() {
+      const items = [];
+      for (const item of state.nodes.values()) {
+        if (delivered.has(item.id)) continue;
+        delivered.add(item.id);
+        items.push(item);
+      }
+      return { items, tree: build() };
+    },
+
+    async refresh({ rootId, sourceId, missing }, { signal, onProgress } = {}) {
+      assertCurrent(rootId);
+      const since = generation;
+      useSource(sourceId);
+      const started = Date.now();
+      const result = await fetchThreadDelta(
+        rootId,
+        Array.from(state.nodes.values()),
+        onProgress,
+        { signal, missing, since: fetchedAt },
+      );
+      assertCurrent(rootId, since);
+      fetchedAt = started;
+      state.nodes.clear();
+      for (const item of result.items) state.nodes.set(item.id, item);
+      setMissing(result.missing);
+      return { ...result, tree: build() };
+    },
+
+    async retry({ rootId, ids, sourceId }, { signal, onProgress } = {}) {
+      assertCurrent(rootId);
+      const since = generation;
+      useSource(sourceId);
+      const known = new Set(state.nodes.keys());
+      const result = await fetchMissingItems(ids, state, onProgress, {
+        signal,
+      });
+      assertCurrent(rootId, since);
+      setMissing(result.missing);
+      const items = Array.from(state.nodes.values()).filter(
+        (item) => !known.has(item.id),
+      );
+      return { missing: result.missing, items, tree: build() };
+    },
+
+    hydrate({ rootId, items, missing = [] }) {
+      reset(rootId);
+      for (const item of items) state.nodes.set(item.id, item);
+      setMissing(missing);
+      return { tree: build() };
+    },
+
+    layout({
+      layoutId,
+      collapsed = [],
+      cutoff = null,
+      visible = null,
+      options = {},
+    }) {
+      const layout = getLayout(layoutId);
+      if (!state.tree || !layout.compute) return null;
+      state.collapsed.clear();
+      for (const id of collapsed) state.collapsed.add(id);
+      state.cutoff = cutoff;
+      state.visible = visible ? new Set(visible) : null;
+      const visibleTree = buildVisibleTree(state.tree, state);
+      return packLayout(layout.compute(visibleTree, { state, ...options }));
+    },
+  };
+}
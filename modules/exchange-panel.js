@@ -0,0 +1,78 @@
+/**
+ * Exchange panel: the replies from one author to another behind an edge of
+ * the author network.
+ * @module exchange-panel
+ */
+
+import { snippetFromItem } from "./ui.js";
+import { escapeHtml, formatTime } from "./utils.js";
+
+const SNIPPET_LENGTH = 120;
+
+function buildRow(state, id) {
+  const item = state.nodes.get(id);
+  const parent = state.nodes.get(state.treeIndex.get(id)?.parentId);
+  const text = snippetFromItem(item, `#${id}`);
+  const snippet =
+    text.length > SNIPPET_LENGTH
+      ? `${text.slice(0, SNIPPET_LENGTH - 3)}...`
+      : text;
+  const meta = [
+    `${item?.by || "anonymous"} → ${parent?.by || "anonymous"}`,
+    formatTime(item?.time),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const classes = ["cache-item", id === state.selectedId ? "current" : ""]
+    .filter(Boolean)
+    .join(" ");
+  return `<li class="${classes}" data-id="${id}">
+    <div class="cache-info">
+      <button class="cache-open" data-action="open" title="Select this reply">${escapeHtml(snippet)}</button>
+      <div class="cache-meta">${escapeHtml(meta)}</div>
+    </div>
+  </li>`;
+}
+
+/**
+ * Show the replies from one author to another in time order, or hide the
+ * panel.
+ * @param {Object} el - DOM element references.
+ * @param {Object} state - Application state.
+ * @param {{authors: string[], ids: number[]}|null} exchange - The replying
+ *   author, the one replied to, and the reply IDs.
+ */
+export function renderExchangePanel(el, state, exchange) {
+  if (!el.exchangePanel) return;
+  el.exchangePanel.hidden = !exchange;
+  if (!exchange) return;
+  const time = (id) => state.nodes.get(id)?.time ?? 0;
+  const ids = exchange.ids
+    .filter((id) => state.treeIndex.has(id))
+    .sort((a, b) => time(a) - time(b) || a - b);
+  const [from, to] = exchange.authors;
+  el.exchangeTitle.textContent = `${from} → ${to}`;
+  el.exchangeMeta.textContent = `${ids.length} repl${ids.length === 1 ? "y" : "ies"} from ${from} to ${to}`;
+  el.exchangeList.innerHTML = ids.length
+    ? ids.map((id) => buildRow(state, id)).join("")
+    : `<li class="cache-empty">No replies from ${escapeHtml(from)} in this view.</li>`;
+}
+
+/**
+ * Wire panel actions.
+ * @param {Object} el - DOM element references.
+ * @param {Object} handlers - Callbacks.
+ * @param {Function} handlers.onOpen - Called with a reply ID to select.
+ * @param {Function} handlers.onClose - Hides the panel.
+ */
+export function setupExchangePanel(el, handlers) {
+  if (!el.exchangePanel) return;
+
+  el.exchangeList.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-action]");
+    const row = event.target.closest("[data-id]");
+    if (!button || !row) return;
+    handlers.onOpen(Number(row.dataset.id));
+  });
+  el.exchangeClose.addEventListener("click", () => handlers.onClose());
+}
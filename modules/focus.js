@@ -42,7 +42,19 @@ export function computeFocus(state, id) {
   state.focus.active = true;
 }
 
+/** Whether layouts should dim the nodes `isFocusNode` rejects. */
+export function hasActiveFocus(state) {
+  return state.focus.active || Boolean(state.highlight);
+}
+
+/**
+ * Whether a node stays bright: while a search highlight is set, its hits and
+ * the selection; otherwise the selection with its ancestors and replies.
+ */
 export function isFocusNode(state, id) {
+  if (state.highlight) {
+    return state.highlight.has(id) || state.selectedId === id;
+  }
   if (!state.focus.active) return true;
   if (state.selectedId === id) return true;
   if (state.focus.ancestors.has(id)) return true;
@@ -0,0 +1,75 @@
+/**
+ * Live-follow polling for the open thread.
+ * @module follow
+ */
+
+/**
+ * Create a poller that runs `poll` repeatedly while started.
+ * Polls never overlap: the next one is scheduled after the previous settles.
+ * @param {Function} poll - Async callback for one poll.
+ * @param {Object} options - Initial settings.
+ * @param {number} options.interval - Milliseconds between polls.
+ * @param {boolean} options.pauseWhenHidden - Skip polls while the tab is
+ *   hidden and poll right away when it becomes visible again.
+ * @returns {Object} Follower with start/stop/configure.
+ */
+export function createFollower(poll, options) {
+  const settings = { ...options };
+  let running = false;
+  let busy = false;
+  let timer = 0;
+
+  const isPaused = () =>
+    settings.pauseWhenHidden &&
+    typeof document !== "undefined" &&
+    document.hidden;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    if (!running || isPaused()) return;
+    timer = setTimeout(tick, settings.interval);
+  };
+
+  async function tick() {
+    if (!running || busy || isPaused()) return;
+    busy = true;
+    try {
+      await poll();
+    } catch (error) {
+      console.warn("Follow poll failed", error);
+    } finally {
+      busy = false;
+      schedule();
+    }
+  }
+
+  if (typeof document !== "undefined") {
+    document.addEventListener("visibilitychange", () => {
+      if (!running || !settings.pauseWhenHidden) return;
+      if (document.hidden) {
+        clearTimeout(timer);
+      } else {
+        tick();
+      }
+    });
+  }
+
+  return {
+    get running() {
+      return running;
+    },
+    start() {
+      if (running) return;
+      running = true;
+      tick();
+    },
+    stop() {
+      running = false;
+      clearTimeout(timer);
+    },
+    configure(next) {
+      Object.assign(settings, next);
+      if (running && !busy) schedule();
+    },
+  };
+}
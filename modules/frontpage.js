@@ -9,7 +9,7 @@ import { svgEl, clearElement } from "./svg.js";
 import { buildTree, computeDescendants, buildVisibleTree } from "./data.js";
 import { assignLaneColors } from "./color.js";
 import { getCachedThread } from "./cache.js";
-import { fetchThreadLimited } from "./data.js";
+import { fetchThreadLimited, isAbortError } from "./data.js";
 import {
   getTitleFont,
   getMetaFont,
@@ -133,6 +133,7 @@ export function hydratePreviewState(previewState, items, options = {}) {
  * @param {number} id - Story ID.
  * @param {Function} scheduleRender - Callback to schedule render.
  * @param {Object} options - Loading options.
+ * @param {AbortSignal} [options.signal] - Drops the preview once aborted.
  */
 export async function loadFrontpagePreview(
   id,
@@ -145,7 +146,8 @@ export async function loadFrontpagePreview(
   }
 
   const previewState = createPreviewState(id);
-  const cached = await getCachedThread(String(id));
+  const cached = await getCachedThread(String(id), { touch: false });
+  if (options.signal?.aborted) return;
 
   if (cached?.items) {
     const ok = hydratePreviewState(previewState, cached.items, {
@@ -159,11 +161,17 @@ export async function loadFrontpagePreview(
     }
   }
 
-  await fetchThreadLimited(id, previewState, null, {
-    maxNodes: options.maxNodes,
-    maxDepth: options.maxDepth,
-    concurrency: options.concurrency,
-  });
+  try {
+    await fetchThreadLimited(id, previewState, null, {
+      maxNodes: options.maxNodes,
+      maxDepth: options.maxDepth,
+      concurrency: options.concurrency,
+      signal: options.signal,
+    });
+  } catch (error) {
+    if (!isAbortError(error)) console.warn("Preview load failed", id, error);
+    return;
+  }
 
   previewState.tree = buildTree(id, previewState);
   if (!previewState.tree) return;
@@ -185,7 +193,11 @@ async function loadPreviewQueue(queue, concurrency, scheduleRender, options) {
   const inflight = new Set();
 
   const pump = async () => {
-    while (queue.length && inflight.size < concurrency) {
+    while (
+      queue.length &&
+      inflight.size < concurrency &&
+      !options.signal?.aborted
+    ) {
       const id = queue.shift();
       if (!id) continue;
       const task = loadFrontpagePreview(id, scheduleRender, options).finally(
@@ -208,26 +220,33 @@ async function loadPreviewQueue(queue, concurrency, scheduleRender, options) {
  * Load all frontpage previews with priority ordering.
  * @param {Array} items - Frontpage items.
  * @param {Function} scheduleRender - Render callback.
+ * @param {Object} [options] - Loading options.
+ * @param {AbortSignal} [options.signal] - Stops queued and in-flight previews.
  */
-export async function loadFrontpagePreviews(items, scheduleRender) {
+export async function loadFrontpagePreviews(
+  items,
+  scheduleRender,
+  options = {},
+) {
   const queue = items.map((item) => item.id);
   const priority = queue.splice(0, FRONTPAGE_PREVIEW.priorityCount);
+  const previewOptions = { ...FRONTPAGE_PREVIEW, signal: options.signal };
 
   await loadPreviewQueue(
     priority,
     FRONTPAGE_PREVIEW.queueConcurrency,
     scheduleRender,
-    FRONTPAGE_PREVIEW,
+    previewOptions,
   );
 
-  if (!queue.length) return;
+  if (!queue.length || options.signal?.aborted) return;
 
   const runRest = () =>
     loadPreviewQueue(
       queue,
       Math.max(2, FRONTPAGE_PREVIEW.queueConcurrency - 1),
       scheduleRender,
-      FRONTPAGE_PREVIEW,
+      previewOptions,
     );
 
   if (typeof requestIdleCallback === "function") {
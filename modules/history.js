@@ -0,0 +1,235 @@
+/**
+ * Snapshot history: timestamped versions of a thread kept in IndexedDB.
+ * Keyframes hold the full item list; the snapshots between them hold only
+ * the items that changed and the IDs that disappeared.
+ * @module history
+ */
+
+import { getDb, requestToPromise, txComplete, handleDbError } from "./db.js";
+import { fingerprint } from "./cache.js";
+import { HISTORY } from "./config.js";
+import { announce } from "./sync.js";
+
+/** Snapshots of a thread, oldest first. */
+async function readSnapshots(store, rootId) {
+  const entries = await requestToPromise(
+    store.index("rootId").getAll(String(rootId)),
+  );
+  return entries.sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+}
+
+/** Index of the keyframe a snapshot is based on, or -1 if there is none. */
+function keyframeIndex(entries, index) {
+  for (let i = index; i >= 0; i -= 1) {
+    if (entries[i].keyframe) return i;
+  }
+  return -1;
+}
+
+/** Replay deltas from the nearest keyframe to get a snapshot's items. */
+function reconstruct(entries, index) {
+  const start = keyframeIndex(entries, index);
+  if (start < 0) return null;
+  const items = new Map(entries[start].items.map((item) => [item.id, item]));
+  for (let i = start + 1; i <= index; i += 1) {
+    for (const id of entries[i].removed) items.delete(id);
+    for (const item of entries[i].changed) items.set(item.id, item);
+  }
+  return Array.from(items.values());
+}
+
+/** 32-bit FNV-1a hash of an item's fingerprint. */
+function hashItem(item) {
+  const text = fingerprint(item);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * The newest state of a history, small enough to read on every save: the
+ * snapshot keys in order (`{key, keyframe}`) and a hash per item. Histories
+ * saved before heads existed get one rebuilt from their snapshots.
+ */
+async function readHead(tx, rootId) {
+  const head = await requestToPromise(
+    tx.objectStore("snapshotHeads").get(String(rootId)),
+  );
+  if (head) return head;
+  const entries = await readSnapshots(tx.objectStore("snapshots"), rootId);
+  const items = entries.length ? reconstruct(entries, entries.length - 1) : [];
+  return {
+    rootId: String(rootId),
+    keys: entries.map(({ key, keyframe }) => ({ key, keyframe })),
+    hashes: items.map((item) => [item.id, hashItem(item)]),
+  };
+}
+
+/** Items added, changed and removed since the head's state (IDs). */
+function diffHead(head, items) {
+  const before = new Map(head.hashes);
+  const added = [];
+  const updated = [];
+  for (const item of items) {
+    const hash = before.get(item.id);
+    if (hash === undefined) {
+      added.push(item.id);
+    } else {
+      if (hash !== hashItem(item)) updated.push(item.id);
+      before.delete(item.id);
+    }
+  }
+  return { added, updated, removed: Array.from(before.keys()) };
+}
+
+function summarize(entry) {
+  return {
+    key: entry.key,
+    rootId: entry.rootId,
+    takenAt: entry.takenAt,
+    itemCount: entry.itemCount,
+    changes: entry.changes,
+  };
+}
+
+/**
+ * Append a snapshot of a thread unless nothing changed since the last one.
+ * The oldest snapshots are dropped beyond `HISTORY.maxSnapshots`; when that
+ * cuts into a delta chain, the new oldest snapshot becomes a keyframe. Only
+ * the thread's head record is read to diff, never the stored snapshots.
+ * @param {string|number} rootId - Root item ID.
+ * @param {Array} items - Thread items.
+ * @param {Object} [options] - Save options.
+ * @param {number[]} [options.missing] - Replies that could not be loaded.
+ * @returns {Promise<Object|null>} Summary of the new snapshot, or null.
+ */
+export async function recordSnapshot(rootId, items, options = {}) {
+  try {
+    const db = await getDb();
+    const tx = db.transaction(["snapshots", "snapshotHeads"], "readwrite");
+    const store = tx.objectStore("snapshots");
+    const head = await readHead(tx, rootId);
+    const { keys } = head;
+    const diff = keys.length ? diffHead(head, items) : null;
+    if (
+      diff &&
+      !diff.added.length &&
+      !diff.updated.length &&
+      !diff.removed.length
+    ) {
+      await txComplete(tx);
+      return null;
+    }
+
+    const takenAt = new Date().toISOString();
+    const entry = {
+      key: `${rootId}:${takenAt}`,
+      rootId: String(rootId),
+      takenAt,
+      itemCount: items.length,
+      missing: options.missing || [],
+      changes: diff && {
+        added: diff.added.length,
+        updated: diff.updated.length,
+        removed: diff.removed.length,
+      },
+    };
+    const sinceKeyframe =
+      keys.length - keys.findLastIndex((key) => key.keyframe);
+    if (!diff || sinceKeyframe >= HISTORY.keyframeInterval) {
+      entry.keyframe = true;
+      entry.items = items;
+    } else {
+      const changed = new Set([...diff.added, ...diff.updated]);
+      entry.keyframe = false;
+      entry.changed = items.filter((item) => changed.has(item.id));
+      entry.removed = diff.removed;
+    }
+    store.put(entry);
+    keys.push({ key: entry.key, keyframe: entry.keyframe });
+
+    const excess = keys.length - HISTORY.maxSnapshots;
+    if (excess > 0) {
+      if (!keys[excess].keyframe) {
+        const start = keys.findLastIndex(
+          (key, index) => index < excess && key.keyframe,
+        );
+        const chain = await Promise.all(
+          keys
+            .slice(start, excess + 1)
+            .map(({ key }) => requestToPromise(store.get(key))),
+        );
+        const { changed, removed, ...rest } = chain[chain.length - 1];
+        store.put({
+          ...rest,
+          keyframe: true,
+          items: reconstruct(chain, chain.length - 1),
+        });
+        keys[excess].keyframe = true;
+      }
+      for (const drop of keys.splice(0, excess)) store.delete(drop.key);
+    }
+    tx.objectStore("snapshotHeads").put({
+      rootId: String(rootId),
+      keys,
+      hashes: items.map((item) => [item.id, hashItem(item)]),
+    });
+    await txComplete(tx);
+    announce("snapshot", { rootId: entry.rootId });
+    return summarize(entry);
+  } catch (error) {
+    console.warn("Snapshot save failed", error);
+    await handleDbError(error);
+    return null;
+  }
+}
+
+/**
+ * List a thread's snapshots, newest first.
+ * @param {string|number} rootId - Root item ID.
+ * @returns {Promise<Array<{key: string, takenAt: string, itemCount: number,
+ *   changes: Object|null}>>} Summaries; `changes` counts items added,
+ *   updated and removed since the previous snapshot.
+ */
+export async function listSnapshots(rootId) {
+  try {
+    const db = await getDb();
+    const tx = db.transaction("snapshots", "readonly");
+    const entries = await readSnapshots(tx.objectStore("snapshots"), rootId);
+    await txComplete(tx);
+    return entries.map(summarize).reverse();
+  } catch (error) {
+    console.warn("Snapshot listing failed", error);
+    await handleDbError(error);
+    return [];
+  }
+}
+
+/**
+ * Rebuild the item list of one snapshot.
+ * @param {string|number} rootId - Root item ID.
+ * @param {string} key - Snapshot key from `listSnapshots`.
+ * @returns {Promise<{key: string, takenAt: string, items: Array,
+ *   missing: number[]}|null>}
+ */
+export async function loadSnapshot(rootId, key) {
+  try {
+    const db = await getDb();
+    const tx = db.transaction("snapshots", "readonly");
+    const entries = await readSnapshots(tx.objectStore("snapshots"), rootId);
+    await txComplete(tx);
+    const index = entries.findIndex((entry) => entry.key === key);
+    if (index < 0) return null;
+    const items = reconstruct(entries, index);
+    if (!items) return null;
+    const { takenAt, missing = [] } = entries[index];
+    return { key, takenAt, items, missing };
+  } catch (error) {
+    console.warn("Snapshot load failed", error);
+    await handleDbError(error);
+    return null;
+  }
+}
@@ -1,15 +1,32 @@
 /**
  * Layout registry and selection.
+ * `compute` must stay DOM-free: it runs in the pipeline worker. Only `render`
+ * touches the document. An optional `tooltip(id, state)` returns hover HTML
+ * for layouts whose nodes are not single comments, and an optional `metrics`
+ * list (`{id, label}`) offers a choice that reaches `compute` as
+ * `context.metric`.
  * @module layouts
  */
 
 import frontpage from "./layout-frontpage.js";
 import tidy from "./layout-tidy.js";
 import icicle from "./layout-icicle.js";
+import sunburst from "./layout-sunburst.js";
+import treemap from "./layout-treemap.js";
 import lanes from "./layout-lanes.js";
 import sankey from "./layout-sankey.js";
+import network from "./layout-network.js";
 
-export const layoutList = [frontpage, sankey, tidy, icicle, lanes];
+export const layoutList = [
+  frontpage,
+  sankey,
+  tidy,
+  icicle,
+  sunburst,
+  treemap,
+  lanes,
+  network,
+];
 
 export function getLayout(id) {
   return layoutList.find((layout) => layout.id === id) || sankey;
@@ -1,7 +1,8 @@
 import { clamp } from "../utils.js";
-import { svgEl, clearElement } from "../svg.js";
+import { svgEl, clearElement, bookmarkBadge } from "../svg.js";
+import { isUnread } from "../reads.js";
 import { getLaneColor, hexToRgba } from "../color.js";
-import { isFocusNode } from "../focus.js";
+import { isFocusNode, hasActiveFocus } from "../focus.js";
 
 const CONFIG = {
   depthHeight: 110,
@@ -69,7 +70,7 @@ function render(layout, ctx) {
   const fragment = document.createDocumentFragment();
   const group = svgEl("g", { class: "icicle" });
   const bandGroup = svgEl("g", { class: "icicle-bands" });
-  const isFocusActive = state.focus.active;
+  const isFocusActive = hasActiveFocus(state);
   const isFocus = (id) => isFocusNode(state, id);
 
   const maxDepth = layout.maxDepth ?? 0;
@@ -118,6 +119,14 @@ function render(layout, ctx) {
         "icicle-cell",
         item?.type === "story" ? "root" : "",
         item?.deleted || item?.dead ? "deleted" : "",
+        node.missing ? "missing" : "",
+        node.pending ? "pending" : "",
+        state.fresh?.has(node.id) ? "fresh" : "",
+        state.compare?.added.has(node.id) ? "diff-added" : "",
+        state.compare?.updated.has(node.id) ? "diff-updated" : "",
+        state.bookmarks.has(node.id) ? "bookmarked" : "",
+        isUnread(state, node.id) ? "unread" : "",
+        state.highlight?.has(node.id) ? "search-hit" : "",
         sentimentLabel ? "sentiment" : "",
         sentimentLabel ? `sentiment-${sentimentLabel}` : "",
         state.selectedId === node.id ? "selected" : "",
@@ -151,6 +160,11 @@ function render(layout, ctx) {
     rect.appendChild(title);
 
     group.appendChild(rect);
+    if (state.bookmarks.has(node.id) && node.width > 20) {
+      group.appendChild(
+        bookmarkBadge(node.x + node.width - CONFIG.cellGap - 12, node.y),
+      );
+    }
 
     const shouldLabel =
       (node.depth <= 1 || state.selectedId === node.id) &&
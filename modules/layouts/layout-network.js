@@ -0,0 +1,318 @@
+import { clamp, escapeHtml } from "../utils.js";
+import { svgEl, clearElement } from "../svg.js";
+import { isFocusNode, hasActiveFocus } from "../focus.js";
+import { summarizeAuthor } from "../authors.js";
+
+const CONFIG = {
+  idealDistance: 90,
+  iterations: 300,
+  /** Above this many authors the simulation runs fewer rounds to stay fast. */
+  largeGraph: 400,
+  minIterations: 50,
+  gravity: 0.02,
+  minRadius: 8,
+  radiusScale: 5,
+  curve: 0.18,
+};
+
+/** Golden angle, for an even deterministic spiral of starting positions. */
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+const MAX_PARTNERS = 4;
+
+/**
+ * Group the visible items by author and collect the replies between each
+ * pair, one list per direction. Deleted items and replies to them have no
+ * author and are left out. Replies to oneself are left out too.
+ */
+function collectAuthors(root, state) {
+  const authors = new Map();
+  const pairs = new Map();
+  const walk = (node, parentAuthor) => {
+    const item = state.nodes.get(node.id);
+    const author = item?.deleted || item?.dead ? null : item?.by || null;
+    if (author) {
+      if (!authors.has(author)) {
+        authors.set(author, { author, items: [], firstTime: Infinity });
+      }
+      const entry = authors.get(author);
+      entry.items.push(node.id);
+      if ((item.time ?? Infinity) < entry.firstTime) {
+        entry.firstTime = item.time;
+        entry.id = node.id;
+      }
+      entry.id ??= node.id;
+      if (parentAuthor && parentAuthor !== author) {
+        const [a, b] = [author, parentAuthor].sort();
+        const key = `${a}\n${b}`;
+        if (!pairs.has(key)) {
+          pairs.set(key, { a, b, forward: [], backward: [] });
+        }
+        const pair = pairs.get(key);
+        (author === a ? pair.forward : pair.backward).push(node.id);
+      }
+    }
+    for (const child of node.children) walk(child, author);
+  };
+  walk(root, null);
+  return { authors, pairs };
+}
+
+/**
+ * Fruchterman-Reingold style simulation: every pair of authors repels, reply
+ * pairs attract in proportion to how often they talked, and a weak pull
+ * keeps unconnected authors near the middle.
+ */
+function simulate(nodes, edges) {
+  const k = CONFIG.idealDistance;
+  const iterations = Math.max(
+    CONFIG.minIterations,
+    Math.round(
+      CONFIG.iterations * Math.min(1, (CONFIG.largeGraph / nodes.length) ** 2),
+    ),
+  );
+  nodes.forEach((node, index) => {
+    const distance = k * 0.6 * Math.sqrt(index + 0.5);
+    node.px = Math.cos(index * GOLDEN_ANGLE) * distance;
+    node.py = Math.sin(index * GOLDEN_ANGLE) * distance;
+  });
+
+  for (let step = 0; step < iterations; step += 1) {
+    const temperature = k * (1 - step / iterations) + 1;
+    for (const node of nodes) {
+      node.dx = -node.px * CONFIG.gravity;
+      node.dy = -node.py * CONFIG.gravity;
+    }
+    for (let i = 0; i < nodes.length; i += 1) {
+      const a = nodes[i];
+      for (let j = i + 1; j < nodes.length; j += 1) {
+        const b = nodes[j];
+        const x = a.px - b.px || 0.01;
+        const y = a.py - b.py || 0.01;
+        const distance = Math.hypot(x, y);
+        const gap = Math.max(distance - a.r - b.r, 1);
+        const force = (k * k) / gap / distance;
+        a.dx += x * force;
+        a.dy += y * force;
+        b.dx -= x * force;
+        b.dy -= y * force;
+      }
+    }
+    for (const edge of edges) {
+      const x = edge.from.px - edge.to.px;
+      const y = edge.from.py - edge.to.py;
+      const distance = Math.hypot(x, y) || 0.01;
+      const force = (distance / k) * Math.log2(1 + edge.weight);
+      edge.from.dx -= x * force;
+      edge.from.dy -= y * force;
+      edge.to.dx += x * force;
+      edge.to.dy += y * force;
+    }
+    for (const node of nodes) {
+      const length = Math.hypot(node.dx, node.dy);
+      if (!length) continue;
+      const move = Math.min(length, temperature);
+      node.px += (node.dx / length) * move;
+      node.py += (node.dy / length) * move;
+    }
+  }
+}
+
+function compute(root, context = {}) {
+  const { state } = context;
+  const { authors, pairs } = collectAuthors(root, state);
+  const byAuthor = new Map();
+  const nodes = Array.from(authors.values())
+    .sort(
+      (a, b) => b.items.length - a.items.length || a.firstTime - b.firstTime,
+    )
+    .map((entry) => {
+      const node = {
+        id: entry.id,
+        author: entry.author,
+        count: entry.items.length,
+        items: entry.items.join(","),
+        r:
+          CONFIG.minRadius + Math.sqrt(entry.items.length) * CONFIG.radiusScale,
+      };
+      byAuthor.set(entry.author, node);
+      return node;
+    });
+  const links = Array.from(pairs.values(), (pair) => ({
+    from: byAuthor.get(pair.a),
+    to: byAuthor.get(pair.b),
+    forward: pair.forward.length,
+    backward: pair.backward.length,
+    weight: pair.forward.length + pair.backward.length,
+    forwardReplies: pair.forward.join(","),
+    backwardReplies: pair.backward.join(","),
+  }));
+
+  simulate(nodes, links);
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const node of nodes) {
+    minX = Math.min(minX, node.px - node.r);
+    minY = Math.min(minY, node.py - node.r);
+    maxX = Math.max(maxX, node.px + node.r);
+    maxY = Math.max(maxY, node.py + node.r);
+  }
+  for (const node of nodes) {
+    node.cx = node.px - minX;
+    node.cy = node.py - minY;
+    node.x = node.cx;
+    node.y = node.cy;
+    delete node.px;
+    delete node.py;
+    delete node.dx;
+    delete node.dy;
+  }
+
+  return {
+    nodes,
+    links,
+    bounds: {
+      width: nodes.length ? maxX - minX : 1,
+      height: nodes.length ? maxY - minY : 1,
+    },
+  };
+}
+
+/**
+ * Curve from one author circle to another, bent to one side so the two
+ * directions of a pair stay apart, ending at the target's rim.
+ */
+function directedPath(from, to) {
+  const x = to.cx - from.cx;
+  const y = to.cy - from.cy;
+  const distance = Math.hypot(x, y) || 1;
+  const controlX = (from.cx + to.cx) / 2 - y * CONFIG.curve;
+  const controlY = (from.cy + to.cy) / 2 + x * CONFIG.curve;
+  const endX = to.cx - controlX;
+  const endY = to.cy - controlY;
+  const endLength = Math.hypot(endX, endY) || distance;
+  const tx = to.cx - (endX / endLength) * (to.r + 3);
+  const ty = to.cy - (endY / endLength) * (to.r + 3);
+  return `M ${from.cx} ${from.cy} Q ${controlX} ${controlY}, ${tx} ${ty}`;
+}
+
+function render(layout, ctx) {
+  const { state, layer } = ctx;
+  const fragment = document.createDocumentFragment();
+  const linkGroup = svgEl("g", { class: "network-links" });
+  const nodeGroup = svgEl("g", { class: "network-nodes" });
+  const isFocusActive = hasActiveFocus(state);
+  const itemsOf = new Map(
+    layout.nodes.map((node) => [node, node.items.split(",").map(Number)]),
+  );
+  const inFocus = new Map(
+    layout.nodes.map((node) => [
+      node,
+      !isFocusActive || itemsOf.get(node).some((id) => isFocusNode(state, id)),
+    ]),
+  );
+  const rootAuthor = state.nodes.get(state.rootId)?.by;
+  const selectedAuthor = state.nodes.get(state.selectedId)?.by;
+
+  for (const link of layout.links) {
+    const focusClass =
+      inFocus.get(link.from) && inFocus.get(link.to)
+        ? "focus-link"
+        : "focus-dim";
+    const directions = [
+      [link.from, link.to, link.forward, link.forwardReplies],
+      [link.to, link.from, link.backward, link.backwardReplies],
+    ];
+    for (const [from, to, count, replies] of directions) {
+      if (!count) continue;
+      const path = svgEl("path", {
+        d: directedPath(from, to),
+        class: `link network-link ${focusClass}`,
+        "stroke-width": clamp(1 + Math.log2(count) * 1.6, 1, 10).toFixed(2),
+        "marker-end": "url(#network-arrow)",
+      });
+      path.dataset.exchanges = replies;
+      path.dataset.between = `${from.author}\n${to.author}`;
+      const title = svgEl("title");
+      title.textContent = `${from.author} → ${to.author}: ${count} repl${count === 1 ? "y" : "ies"}. Click to list them.`;
+      path.appendChild(title);
+      linkGroup.appendChild(path);
+    }
+  }
+
+  for (const node of layout.nodes) {
+    const group = svgEl("g");
+    const items = itemsOf.get(node);
+    group.setAttribute(
+      "class",
+      [
+        "node",
+        "network-node",
+        node.author === rootAuthor ? "root" : "",
+        items.some((id) => state.bookmarks.has(id)) ? "bookmarked" : "",
+        items.some((id) => state.highlight?.has(id)) ? "search-hit" : "",
+        node.author === selectedAuthor ? "selected" : "",
+        inFocus.get(node) ? "" : "focus-dim",
+      ]
+        .filter(Boolean)
+        .join(" "),
+    );
+    group.setAttribute("transform", `translate(${node.cx},${node.cy})`);
+    group.dataset.id = String(node.id);
+
+    const circle = svgEl("circle", { r: node.r.toFixed(2) });
+    group.appendChild(circle);
+
+    const label = svgEl("text", {
+      y: node.r + 12,
+      "text-anchor": "middle",
+    });
+    const name =
+      node.author.length > 16 ? `${node.author.slice(0, 14)}...` : node.author;
+    label.textContent = node.count > 1 ? `${name} (${node.count})` : name;
+    group.appendChild(label);
+
+    nodeGroup.appendChild(group);
+  }
+
+  fragment.appendChild(linkGroup);
+  fragment.appendChild(nodeGroup);
+  clearElement(layer);
+  layer.appendChild(fragment);
+}
+
+/** Tooltip for an author node, which is keyed by the author's first item. */
+function tooltip(id, state) {
+  const author = state.nodes.get(id)?.by;
+  if (!author) return null;
+  const { ids, repliedTo, repliedBy } = summarizeAuthor(state, author);
+  const partners = new Map(repliedTo);
+  for (const [name, count] of repliedBy) {
+    partners.set(name, (partners.get(name) || 0) + count);
+  }
+  const top = Array.from(partners)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_PARTNERS)
+    .map(([name, count]) => `${escapeHtml(name)} (${count})`)
+    .join(", ");
+  const sent = repliedTo.reduce((sum, [, count]) => sum + count, 0);
+  const received = repliedBy.reduce((sum, [, count]) => sum + count, 0);
+  return `
+    <div class="tooltip-title">${escapeHtml(author)}</div>
+    <div class="tooltip-meta">${ids.length} items · ${sent} replies to others · ${received} replies received</div>
+    <div class="tooltip-body">${top ? `Talked most with ${top}.` : "No exchanges with others."}</div>
+    <div class="tooltip-hint">Click for their first comment; Alt+click to spotlight ${escapeHtml(author)}</div>
+  `;
+}
+
+export default {
+  id: "network",
+  label: "Author Network",
+  description: "Authors sized by comment count, linked by who replied to whom.",
+  compute,
+  render,
+  tooltip,
+};
@@ -1,7 +1,8 @@
 import { clamp, stripHtml } from "../utils.js";
-import { svgEl, clearElement } from "../svg.js";
+import { svgEl, clearElement, bookmarkBadge } from "../svg.js";
+import { isUnread } from "../reads.js";
 import { getLaneColor, hexToRgba } from "../color.js";
-import { isFocusNode } from "../focus.js";
+import { isFocusNode, hasActiveFocus } from "../focus.js";
 import { wrapText } from "../text.js";
 
 const CONFIG = {
@@ -86,7 +87,7 @@ function render(layout, ctx) {
   const fragment = document.createDocumentFragment();
   const linkGroup = svgEl("g", { class: "sankey-links" });
   const nodeGroup = svgEl("g", { class: "sankey-nodes" });
-  const isFocusActive = state.focus.active;
+  const isFocusActive = hasActiveFocus(state);
   const isFocus = (id) => isFocusNode(state, id);
   const showDetails = state.view.scale >= DETAIL_SCALE;
   const detailLevel = showDetails
@@ -111,7 +112,7 @@ function render(layout, ctx) {
     const d = `M ${sx} ${sy} C ${midX} ${sy}, ${midX} ${ty}, ${tx} ${ty}`;
     const path = svgEl("path", {
       d,
-      class: `sankey-link depth-${link.depth} ${focusClass}`,
+      class: `sankey-link depth-${link.depth} ${focusClass}${state.debates?.links.has(link.to.id) ? " debate-link" : ""}`,
       "stroke-width": thickness.toFixed(2),
     });
     linkGroup.appendChild(path);
@@ -145,6 +146,15 @@ function render(layout, ctx) {
         "sankey-node",
         item?.type === "story" ? "root" : "",
         item?.deleted || item?.dead ? "deleted" : "",
+        node.missing ? "missing" : "",
+        node.pending ? "pending" : "",
+        state.fresh?.has(node.id) ? "fresh" : "",
+        state.compare?.added.has(node.id) ? "diff-added" : "",
+        state.compare?.updated.has(node.id) ? "diff-updated" : "",
+        state.bookmarks.has(node.id) ? "bookmarked" : "",
+        isUnread(state, node.id) ? "unread" : "",
+        state.highlight?.has(node.id) ? "search-hit" : "",
+        state.debates?.nodes.has(node.id) ? "debate" : "",
         sentimentLabel ? "sentiment" : "",
         sentimentLabel ? `sentiment-${sentimentLabel}` : "",
         state.selectedId === node.id ? "selected" : "",
@@ -187,6 +197,9 @@ function render(layout, ctx) {
 
     group.appendChild(rect);
     rect.appendChild(title);
+    if (state.bookmarks.has(node.id)) {
+      group.appendChild(bookmarkBadge(CONFIG.columnWidth - 14, 0));
+    }
 
     const showLabel = node.height > 18;
     if (showLabel) {
@@ -0,0 +1,236 @@
+import { clamp } from "../utils.js";
+import { svgEl, clearElement, bookmarkBadge } from "../svg.js";
+import { isUnread } from "../reads.js";
+import { getLaneColor, hexToRgba } from "../color.js";
+import { isFocusNode, hasActiveFocus } from "../focus.js";
+import { isBeforeCutoff } from "../data.js";
+
+const CONFIG = {
+  centerRadius: 60,
+  ringWidth: 70,
+  labelArc: 90,
+  /** Largest span drawn as one arc; a full circle would collapse to a point. */
+  maxSpan: Math.PI * 2 - 1e-4,
+};
+
+const SENTIMENT_COLORS = {
+  positive: "#4ade80",
+  negative: "#f87171",
+  neutral: "#60a5fa",
+  mixed: "#fbbf24",
+};
+
+/**
+ * Weight of every visible node: one for itself plus its visible replies. A
+ * collapsed node also counts the replies it hides that the replay cutoff
+ * would show, so it keeps the share of the circle of its branch.
+ */
+function computeSizes(node, state) {
+  if (!node.children.length) {
+    let size = 1;
+    if (state?.collapsed.has(node.id)) {
+      const walk = (full) => {
+        for (const child of full.children) {
+          if (!isBeforeCutoff(child, state)) continue;
+          size += 1;
+          walk(child);
+        }
+      };
+      const full = state.treeIndex.get(node.id);
+      if (full) walk(full);
+    }
+    node.size = size;
+    return size;
+  }
+  let size = 1;
+  for (const child of node.children) {
+    size += computeSizes(child, state);
+  }
+  node.size = size;
+  return size;
+}
+
+function compute(root, context = {}) {
+  const { state } = context;
+  computeSizes(root, state);
+  const nodes = [];
+  let maxDepth = 0;
+
+  const place = (node, start, span) => {
+    const depth = node.depth - root.depth;
+    node.a0 = start;
+    node.a1 = start + span;
+    node.r0 = depth ? CONFIG.centerRadius + (depth - 1) * CONFIG.ringWidth : 0;
+    node.r1 = CONFIG.centerRadius + depth * CONFIG.ringWidth;
+    nodes.push(node);
+    maxDepth = Math.max(maxDepth, depth);
+
+    let cursor = start;
+    for (const child of node.children) {
+      const childSpan = (span * child.size) / node.size;
+      place(child, cursor, childSpan);
+      cursor += childSpan;
+    }
+  };
+  place(root, -Math.PI / 2, Math.PI * 2);
+
+  const radius = CONFIG.centerRadius + maxDepth * CONFIG.ringWidth;
+  for (const node of nodes) {
+    const angle = (node.a0 + node.a1) / 2;
+    const middle = node.r0 ? (node.r0 + node.r1) / 2 : 0;
+    node.cx = radius + Math.cos(angle) * middle;
+    node.cy = radius + Math.sin(angle) * middle;
+    node.x = node.cx;
+    node.y = node.cy;
+  }
+
+  return {
+    nodes,
+    links: [],
+    bounds: { width: radius * 2, height: radius * 2 },
+    radius,
+    maxDepth,
+  };
+}
+
+/** Annular sector between two angles and two radii around `(c, c)`. */
+function sectorPath(node, c) {
+  const span = Math.min(node.a1 - node.a0, CONFIG.maxSpan);
+  const a1 = node.a0 + span;
+  const large = span > Math.PI ? 1 : 0;
+  const point = (r, a) =>
+    `${(c + Math.cos(a) * r).toFixed(2)} ${(c + Math.sin(a) * r).toFixed(2)}`;
+  if (!node.r0) {
+    return `M ${point(node.r1, node.a0)} A ${node.r1} ${node.r1} 0 1 1 ${point(node.r1, node.a0 + Math.PI)} A ${node.r1} ${node.r1} 0 1 1 ${point(node.r1, node.a0)} Z`;
+  }
+  return [
+    `M ${point(node.r0, node.a0)}`,
+    `L ${point(node.r1, node.a0)}`,
+    `A ${node.r1} ${node.r1} 0 ${large} 1 ${point(node.r1, a1)}`,
+    `L ${point(node.r0, a1)}`,
+    `A ${node.r0} ${node.r0} 0 ${large} 0 ${point(node.r0, node.a0)}`,
+    "Z",
+  ].join(" ");
+}
+
+function render(layout, ctx) {
+  const { state, layer } = ctx;
+  const fragment = document.createDocumentFragment();
+  const group = svgEl("g", { class: "sunburst" });
+  const ringGroup = svgEl("g", { class: "sunburst-rings" });
+  const isFocusActive = hasActiveFocus(state);
+  const isFocus = (id) => isFocusNode(state, id);
+  const center = layout.radius ?? layout.bounds.width / 2;
+
+  for (let depth = layout.maxDepth ?? 0; depth >= 1; depth -= 1) {
+    const ring = svgEl("circle", {
+      cx: center,
+      cy: center,
+      r: CONFIG.centerRadius + depth * CONFIG.ringWidth,
+      class: depth % 2 ? "sunburst-ring" : "sunburst-ring alt",
+    });
+    ringGroup.appendChild(ring);
+  }
+  fragment.appendChild(ringGroup);
+
+  for (const node of layout.nodes) {
+    const item = state.nodes.get(node.id);
+    const laneColor = getLaneColor(state, node.id);
+    const fill = laneColor ? hexToRgba(laneColor, 0.28) : null;
+    const stroke = laneColor ? hexToRgba(laneColor, 0.55) : null;
+    const sentiment = state.sentiment?.get(node.id);
+    const sentimentLabel = sentiment?.label;
+    const sentimentScore =
+      typeof sentiment?.score === "number" ? sentiment.score : null;
+    const sentimentColor = sentimentLabel
+      ? SENTIMENT_COLORS[sentimentLabel]
+      : null;
+    const sentimentAlpha =
+      sentimentScore !== null
+        ? clamp(0.25 + Math.min(Math.abs(sentimentScore), 1) * 0.45, 0.25, 0.8)
+        : 0.45;
+    const focusClass = !isFocusActive || isFocus(node.id) ? "" : "focus-dim";
+    const ancestorClass = state.focus.ancestors.has(node.id)
+      ? "focus-ancestor"
+      : "";
+    const descClass = state.focus.descendants.has(node.id) ? "focus-desc" : "";
+    const path = svgEl("path", {
+      d: sectorPath(node, center),
+      class: [
+        "sunburst-cell",
+        item?.type === "story" ? "root" : "",
+        item?.deleted || item?.dead ? "deleted" : "",
+        node.missing ? "missing" : "",
+        node.pending ? "pending" : "",
+        state.fresh?.has(node.id) ? "fresh" : "",
+        state.compare?.added.has(node.id) ? "diff-added" : "",
+        state.compare?.updated.has(node.id) ? "diff-updated" : "",
+        state.bookmarks.has(node.id) ? "bookmarked" : "",
+        isUnread(state, node.id) ? "unread" : "",
+        state.highlight?.has(node.id) ? "search-hit" : "",
+        sentimentLabel ? "sentiment" : "",
+        sentimentLabel ? `sentiment-${sentimentLabel}` : "",
+        state.selectedId === node.id ? "selected" : "",
+        focusClass,
+        ancestorClass,
+        descClass,
+      ]
+        .filter(Boolean)
+        .join(" "),
+    });
+    path.dataset.id = String(node.id);
+    if (fill) path.style.setProperty("--lane-fill", fill);
+    if (stroke) path.style.setProperty("--lane-stroke", stroke);
+    if (sentimentColor && !item?.deleted && !item?.dead) {
+      path.style.setProperty(
+        "--sentiment-fill",
+        hexToRgba(sentimentColor, sentimentAlpha),
+      );
+      path.style.setProperty(
+        "--sentiment-stroke",
+        hexToRgba(sentimentColor, Math.min(sentimentAlpha + 0.2, 0.95)),
+      );
+    }
+
+    const title = svgEl("title");
+    const author = item?.by || "anonymous";
+    const sentimentTitle = sentimentLabel
+      ? ` | ${sentimentLabel}${sentimentScore !== null ? ` (${sentimentScore.toFixed(2)})` : ""}`
+      : "";
+    title.textContent = `${author} - ${node.size - 1} replies${sentimentTitle}`;
+    path.appendChild(title);
+    group.appendChild(path);
+
+    const arc = ((node.r0 + node.r1) / 2) * (node.a1 - node.a0);
+    if (state.bookmarks.has(node.id) && (!node.r0 || arc > 20)) {
+      group.appendChild(bookmarkBadge(node.cx - 4, node.cy - 18));
+    }
+
+    const shouldLabel =
+      (node.depth <= 2 || state.selectedId === node.id) &&
+      (!node.r0 || arc > CONFIG.labelArc);
+    if (shouldLabel) {
+      const label = svgEl("text", {
+        x: node.cx,
+        y: node.cy + 4,
+        "text-anchor": "middle",
+        class: "sunburst-label",
+      });
+      label.textContent =
+        author.length > 14 ? `${author.slice(0, 12)}...` : author;
+      group.appendChild(label);
+    }
+  }
+
+  fragment.appendChild(group);
+  clearElement(layer);
+  layer.appendChild(fragment);
+}
+
+export default {
+  id: "sunburst",
+  label: "Sunburst",
+  description: "Radial rings by depth, sized by branch.",
+  compute,
+  render,
+};
@@ -1,7 +1,8 @@
 import { clamp } from "../utils.js";
-import { svgEl, clearElement } from "../svg.js";
+import { svgEl, clearElement, bookmarkBadge } from "../svg.js";
+import { isUnread } from "../reads.js";
 import { getLaneColor } from "../color.js";
-import { isFocusNode } from "../focus.js";
+import { isFocusNode, hasActiveFocus } from "../focus.js";
 
 const CONFIG = {
   nodeSpacing: 42,
@@ -67,7 +68,7 @@ function render(layout, ctx) {
   const linkGroup = svgEl("g");
   const nodeGroup = svgEl("g");
 
-  const isFocusActive = state.focus.active;
+  const isFocusActive = hasActiveFocus(state);
   const isFocus = (id) => isFocusNode(state, id);
 
   for (const link of layout.links) {
@@ -83,7 +84,7 @@ function render(layout, ctx) {
     const d = `M ${sx} ${sy} C ${midX} ${sy}, ${midX} ${ty}, ${tx} ${ty}`;
     const path = svgEl("path", {
       d,
-      class: `link depth-${link.depth} ${focusClass}`,
+      class: `link depth-${link.depth} ${focusClass}${state.debates?.links.has(link.to.id) ? " debate-link" : ""}`,
     });
     linkGroup.appendChild(path);
   }
@@ -107,6 +108,15 @@ function render(layout, ctx) {
         "node",
         item?.type === "story" ? "root" : "",
         item?.deleted || item?.dead ? "deleted" : "",
+        node.missing ? "missing" : "",
+        node.pending ? "pending" : "",
+        state.fresh?.has(node.id) ? "fresh" : "",
+        state.compare?.added.has(node.id) ? "diff-added" : "",
+        state.compare?.updated.has(node.id) ? "diff-updated" : "",
+        state.bookmarks.has(node.id) ? "bookmarked" : "",
+        isUnread(state, node.id) ? "unread" : "",
+        state.highlight?.has(node.id) ? "search-hit" : "",
+        state.debates?.nodes.has(node.id) ? "debate" : "",
         state.selectedId === node.id ? "selected" : "",
         focusClass,
         ancestorClass,
@@ -128,6 +138,9 @@ function render(layout, ctx) {
 
     group.appendChild(circle);
     group.appendChild(title);
+    if (state.bookmarks.has(node.id)) {
+      group.appendChild(bookmarkBadge(radius - 3, -radius - 9));
+    }
 
     const showLabel = node.depth < 2 || node.id === state.selectedId;
     if (showLabel) {
@@ -0,0 +1,268 @@
+import { stripHtml } from "../utils.js";
+import { svgEl, clearElement, bookmarkBadge } from "../svg.js";
+import { isUnread } from "../reads.js";
+import { getLaneColor, hexToRgba } from "../color.js";
+import { isFocusNode, hasActiveFocus } from "../focus.js";
+import { wrapText } from "../text.js";
+import { isBeforeCutoff } from "../data.js";
+import { plainText } from "../search-index.js";
+
+const CONFIG = {
+  /** Canvas area per visible comment, whatever the metric. */
+  unitArea: 2600,
+  aspect: 1.6,
+  padding: 3,
+  header: 18,
+  labelWidth: 120,
+  labelHeight: 40,
+  lineHeight: 13,
+  charWidth: 6.2,
+};
+
+/** What a cell's area is proportional to; `own` weighs a single item. */
+const METRICS = {
+  replies: {
+    label: "Replies",
+    own: () => 1,
+  },
+  words: {
+    label: "Words",
+    own: (item) =>
+      Math.max(1, plainText(item?.text).split(" ").filter(Boolean).length),
+  },
+};
+
+/**
+ * Weight of every visible node: its own metric plus its replies. A collapsed
+ * node also counts the replies it hides, so it keeps the area of its branch.
+ */
+function computeWeights(node, state, metric) {
+  let weight = metric.own(state?.nodes.get(node.id));
+  if (node.children.length) {
+    for (const child of node.children) {
+      weight += computeWeights(child, state, metric);
+    }
+  } else if (state?.collapsed.has(node.id)) {
+    const walk = (full) => {
+      for (const child of full.children) {
+        if (!isBeforeCutoff(child, state)) continue;
+        weight += metric.own(state.nodes.get(child.id));
+        walk(child);
+      }
+    };
+    const full = state.treeIndex.get(node.id);
+    if (full) walk(full);
+  }
+  node.weight = weight;
+  return weight;
+}
+
+/** Worst aspect ratio of a row of areas laid along `side`. */
+function worstRatio(areas, sum, side) {
+  const squared = sum * sum;
+  const sideSquared = side * side;
+  return Math.max(
+    (sideSquared * Math.max(...areas)) / squared,
+    squared / (sideSquared * Math.min(...areas)),
+  );
+}
+
+/**
+ * Squarified treemap (Bruls, Huizing, van Wijk): fill the rectangle with
+ * rows along its shorter side, adding items to a row while that keeps the
+ * cells closer to square.
+ * @param {Array<{node: Object, area: number}>} items - Largest first.
+ */
+function squarify(items, rect, place) {
+  let { x, y, width, height } = rect;
+  let index = 0;
+  while (index < items.length) {
+    const side = Math.min(width, height);
+    const row = [items[index].area];
+    let sum = items[index].area;
+    let end = index + 1;
+    while (end < items.length && side > 0) {
+      const area = items[end].area;
+      if (
+        worstRatio([...row, area], sum + area, side) >
+        worstRatio(row, sum, side)
+      ) {
+        break;
+      }
+      row.push(area);
+      sum += area;
+      end += 1;
+    }
+
+    const thickness = side > 0 ? sum / side : 0;
+    let offset = 0;
+    for (let i = index; i < end; i += 1) {
+      const length = thickness > 0 ? items[i].area / thickness : 0;
+      if (width >= height) {
+        place(items[i].node, x, y + offset, thickness, length);
+      } else {
+        place(items[i].node, x + offset, y, length, thickness);
+      }
+      offset += length;
+    }
+    if (width >= height) {
+      x += thickness;
+      width = Math.max(0, width - thickness);
+    } else {
+      y += thickness;
+      height = Math.max(0, height - thickness);
+    }
+    index = end;
+  }
+}
+
+function compute(root, context = {}) {
+  const { state } = context;
+  const metric = METRICS[context.metric] || METRICS.replies;
+  computeWeights(root, state, metric);
+  const nodes = [];
+
+  const place = (node, x, y, width, height) => {
+    node.x = x;
+    node.y = y;
+    node.width = width;
+    node.height = height;
+    node.cx = x + width / 2;
+    node.cy = y + height / 2;
+    nodes.push(node);
+    if (!node.children.length) return;
+
+    const top =
+      height > CONFIG.header * 2 && width > CONFIG.header * 2
+        ? CONFIG.header
+        : CONFIG.padding;
+    const inner = {
+      x: x + CONFIG.padding,
+      y: y + top,
+      width: Math.max(0, width - CONFIG.padding * 2),
+      height: Math.max(0, height - top - CONFIG.padding),
+    };
+    const total = node.children.reduce((sum, child) => sum + child.weight, 0);
+    const scale = (inner.width * inner.height) / total;
+    const items = node.children
+      .map((child) => ({ node: child, area: child.weight * scale }))
+      .sort((a, b) => b.area - a.area);
+    squarify(items, inner, place);
+  };
+
+  let count = 0;
+  const countNodes = (node) => {
+    count += 1;
+    node.children.forEach(countNodes);
+  };
+  countNodes(root);
+  const area = count * CONFIG.unitArea;
+  const width = Math.sqrt(area * CONFIG.aspect);
+  const height = area / width;
+  place(root, 0, 0, width, height);
+
+  return {
+    nodes,
+    links: [],
+    bounds: { width, height },
+  };
+}
+
+function render(layout, ctx) {
+  const { state, layer } = ctx;
+  const fragment = document.createDocumentFragment();
+  const group = svgEl("g", { class: "treemap" });
+  const isFocusActive = hasActiveFocus(state);
+  const isFocus = (id) => isFocusNode(state, id);
+
+  for (const node of layout.nodes) {
+    const item = state.nodes.get(node.id);
+    const laneColor = getLaneColor(state, node.id);
+    const fill = laneColor ? hexToRgba(laneColor, 0.22) : null;
+    const stroke = laneColor ? hexToRgba(laneColor, 0.6) : null;
+    const focusClass = !isFocusActive || isFocus(node.id) ? "" : "focus-dim";
+    const ancestorClass = state.focus.ancestors.has(node.id)
+      ? "focus-ancestor"
+      : "";
+    const descClass = state.focus.descendants.has(node.id) ? "focus-desc" : "";
+    const rect = svgEl("rect", {
+      x: node.x,
+      y: node.y,
+      width: Math.max(node.width, 0),
+      height: Math.max(node.height, 0),
+      rx: 2,
+      ry: 2,
+      class: [
+        "treemap-cell",
+        item?.type === "story" ? "root" : "",
+        item?.deleted || item?.dead ? "deleted" : "",
+        node.missing ? "missing" : "",
+        node.pending ? "pending" : "",
+        state.fresh?.has(node.id) ? "fresh" : "",
+        state.compare?.added.has(node.id) ? "diff-added" : "",
+        state.compare?.updated.has(node.id) ? "diff-updated" : "",
+        state.bookmarks.has(node.id) ? "bookmarked" : "",
+        isUnread(state, node.id) ? "unread" : "",
+        state.highlight?.has(node.id) ? "search-hit" : "",
+        state.selectedId === node.id ? "selected" : "",
+        focusClass,
+        ancestorClass,
+        descClass,
+      ]
+        .filter(Boolean)
+        .join(" "),
+    });
+    rect.dataset.id = String(node.id);
+    if (fill) rect.style.setProperty("--lane-fill", fill);
+    if (stroke) rect.style.setProperty("--lane-stroke", stroke);
+
+    const title = svgEl("title");
+    const author = item?.by || "anonymous";
+    title.textContent = `${author} - ${state.descCount.get(node.id) ?? 0} replies`;
+    rect.appendChild(title);
+    group.appendChild(rect);
+
+    if (state.bookmarks.has(node.id) && node.width > 24) {
+      group.appendChild(bookmarkBadge(node.x + node.width - 12, node.y));
+    }
+
+    if (node.width < CONFIG.labelWidth || node.height < CONFIG.labelHeight) {
+      continue;
+    }
+    const maxChars = Math.floor((node.width - 12) / CONFIG.charWidth);
+    const label = svgEl("text", {
+      x: node.x + 6,
+      y: node.y + 13,
+      class: "treemap-label",
+    });
+    label.textContent =
+      author.length > maxChars ? `${author.slice(0, maxChars - 3)}...` : author;
+    group.appendChild(label);
+
+    const maxLines = Math.floor((node.height - 24) / CONFIG.lineHeight);
+    if (node.children.length || maxLines < 1) continue;
+    const text = item?.title || (item?.text ? stripHtml(item.text) : "");
+    wrapText(text, maxChars, maxLines).forEach((line, index) => {
+      const snippet = svgEl("text", {
+        x: node.x + 6,
+        y: node.y + 28 + index * CONFIG.lineHeight,
+        class: "treemap-snippet",
+      });
+      snippet.textContent = line;
+      group.appendChild(snippet);
+    });
+  }
+
+  fragment.appendChild(group);
+  clearElement(layer);
+  layer.appendChild(fragment);
+}
+
+export default {
+  id: "treemap",
+  label: "Treemap",
+  description: "Nested rectangles sized by branch.",
+  metrics: Object.entries(METRICS).map(([id, { label }]) => ({ id, label })),
+  compute,
+  render,
+};
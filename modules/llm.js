@@ -5,6 +5,7 @@
 
 import { stripHtml } from "./utils.js";
 import { getDb, requestToPromise, txComplete } from "./db.js";
+import { announce } from "./sync.js";
 
 function buildPayloadItem(state, node) {
   const item = state.nodes.get(node.id);
@@ -181,6 +182,11 @@ export async function saveLlmResult(entry) {
   const key = `${entry.rootId}:${entry.branchId}`;
   store.put({ key, ...entry });
   await txComplete(tx);
+  announce("llm", {
+    rootId: entry.rootId,
+    branchId: entry.branchId,
+    sentiment: Boolean(entry.sentiment?.length),
+  });
 }
 
 export async function loadLastLlmResult(rootId, branchId) {
@@ -192,3 +198,19 @@ export async function loadLastLlmResult(rootId, branchId) {
   await txComplete(tx);
   return entry || null;
 }
+
+/**
+ * All saved results for a thread, oldest first.
+ * @param {string|number} rootId - Root item ID.
+ * @returns {Promise<Array>} Stored entries.
+ */
+export async function listLlmResults(rootId) {
+  const db = await getDb();
+  const tx = db.transaction("llm", "readonly");
+  const store = tx.objectStore("llm");
+  const entries = await requestToPromise(store.getAll());
+  await txComplete(tx);
+  return entries
+    .filter((entry) => String(entry.rootId) === String(rootId))
+    .sort((a, b) => String(a.savedAt).localeCompare(String(b.savedAt)));
+}
@@ -0,0 +1,35 @@
+/**
+ * Offline support: service worker registration and connectivity state.
+ * @module offline
+ */
+
+/**
+ * Register `sw.js` so the app shell and HN API responses stay available
+ * offline. Does nothing where service workers are unsupported (including
+ * pages opened from `file://`).
+ */
+export function registerServiceWorker() {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) {
+    return;
+  }
+  navigator.serviceWorker
+    .register(new URL("../sw.js", import.meta.url))
+    .catch((error) => {
+      console.warn("Service worker registration failed", error);
+    });
+}
+
+/** Whether the browser reports no network connection. */
+export function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+/**
+ * Report connectivity now and whenever it changes.
+ * @param {Function} onChange - Called with `true` when offline.
+ */
+export function watchConnectivity(onChange) {
+  window.addEventListener("online", () => onChange(false));
+  window.addEventListener("offline", () => onChange(true));
+  onChange(isOffline());
+}
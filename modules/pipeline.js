@@ -0,0 +1,171 @@
+/**
+ * Main-thread client for the thread engine. Operations run in a module
+ * worker when the browser allows it and inline otherwise; callers get the
+ * same promises either way.
+ * @module pipeline
+ */
+
+import { createThreadEngine, unpackLayout } from "./engine.js";
+
+function toError(data) {
+  if (data?.name === "AbortError") {
+    return new DOMException(data.message, "AbortError");
+  }
+  return new Error(data?.message || "Pipeline operation failed");
+}
+
+/**
+ * Create the pipeline. If the worker fails to start, queued operations are
+ * replayed inline and the pipeline stays inline from then on.
+ * @returns {Object} Pipeline operations.
+ */
+export function createPipeline() {
+  const pending = new Map();
+  let nextId = 1;
+  let inline = null;
+  let worker = null;
+
+  const runInline = (op, args, options) => {
+    inline ??= createThreadEngine();
+    return Promise.resolve().then(() => inline[op](args, options));
+  };
+
+  if (typeof Worker !== "undefined") {
+    try {
+      worker = new Worker(new URL("./worker.js", import.meta.url), {
+        type: "module",
+      });
+    } catch (error) {
+      console.warn("Pipeline worker unavailable, running inline", error);
+    }
+  }
+
+  if (worker) {
+    worker.onmessage = (event) => {
+      const { id, type } = event.data;
+      const entry = pending.get(id);
+      if (!entry) return;
+      if (type === "progress") {
+        if (entry.onProgress) {
+          entry.onProgress(event.data.count, event.data.done);
+        }
+        return;
+      }
+      pending.delete(id);
+      if (type === "result") {
+        entry.resolve(event.data.result);
+      } else {
+        entry.reject(toError(event.data.error));
+      }
+    };
+
+    worker.onerror = (event) => {
+      console.warn("Pipeline worker failed, running inline", event.message);
+      worker.terminate();
+      worker = null;
+      const replay = Array.from(pending.values());
+      pending.clear();
+      for (const entry of replay) {
+        runInline(entry.op, entry.args, entry.options).then(
+          entry.resolve,
+          entry.reject,
+        );
+      }
+    };
+  }
+
+  const run = (op, args, options = {}) => {
+    const { signal } = options;
+    if (signal?.aborted) {
+      return Promise.reject(new DOMException("Load cancelled", "AbortError"));
+    }
+    if (!worker) return runInline(op, args, options);
+
+    return new Promise((resolve, reject) => {
+      const id = nextId;
+      nextId += 1;
+      pending.set(id, {
+        op,
+        args,
+        options,
+        onProgress: options.onProgress,
+        resolve,
+        reject,
+      });
+      if (signal) {
+        signal.addEventListener(
+          "abort",
+          () => {
+            if (worker && pending.has(id)) {
+              worker.postMessage({ id, op: "abort" });
+            }
+          },
+          { once: true },
+        );
+      }
+      worker.postMessage({ id, op, args });
+    });
+  };
+
+  return {
+    /**
+     * Fetch a whole thread. `options.fresh` skips cached API responses.
+     * @returns {Promise<{source: string, missing: number[], items: Array,
+     *   tree: Object}>}
+     */
+    load(rootId, options = {}) {
+      const { sourceId, fresh } = options;
+      return run("load", { rootId, sourceId, fresh }, options);
+    },
+
+    /**
+     * Partial tree and newly arrived items of the load in progress.
+     * @returns {Promise<{items: Array, tree: Object|null}>}
+     */
+    snapshot() {
+      return run("snapshot", {});
+    },
+
+    /**
+     * Incremental refresh of the held thread (see `fetchThreadDelta`).
+     * @returns {Promise<Object>} Delta result plus the rebuilt tree.
+     */
+    refresh(rootId, options = {}) {
+      const { sourceId, missing } = options;
+      return run("refresh", { rootId, sourceId, missing }, options);
+    },
+
+    /**
+     * Fetch items that failed earlier.
+     * @returns {Promise<{missing: number[], items: Array, tree: Object}>}
+     */
+    retry(rootId, ids, options = {}) {
+      return run("retry", { rootId, ids, sourceId: options.sourceId }, options);
+    },
+
+    /**
+     * Hand the engine an item list that is already at hand (cache, import).
+     * @returns {Promise<{tree: Object|null}>}
+     */
+    hydrate(rootId, items, missing = []) {
+      return run("hydrate", { rootId, items, missing });
+    },
+
+    /**
+     * Compute layout geometry for the held tree.
+     * @param {string} layoutId - Layout to run.
+     * @param {Object} [view] - What part of the tree is visible.
+     * @param {Array} [view.collapsed] - Collapsed node IDs.
+     * @param {number|null} [view.cutoff] - Hide items posted after this
+     *   time (Unix seconds).
+     * @param {Array|null} [view.visible] - Only keep these node IDs (a
+     *   filter result including ancestors); null keeps every node.
+     * @param {Object} [options] - Extra layout options.
+     * @returns {Promise<Object|null>} Layout result ready for `render`.
+     */
+    async layout(layoutId, view = {}, options = {}) {
+      const packed = await run("layout", { layoutId, ...view, options });
+      return packed ? unpackLayout(packed) : null;
+    },
+  };
+}
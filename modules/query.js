@@ -0,0 +1,274 @@
+/**
+ * Filter queries over thread nodes, e.g.
+ * `author:dang depth:>3 replies:>=5 sentiment:negative age:<2h -deleted`,
+ * and the saved filters kept in IndexedDB.
+ * @module query
+ */
+
+import { getDb, requestToPromise, txComplete, handleDbError } from "./db.js";
+import { announce } from "./sync.js";
+import { isUnread } from "./reads.js";
+import { stripHtml } from "./utils.js";
+
+const SENTIMENT_LABELS = ["positive", "negative", "neutral", "mixed"];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+const COMPARATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "=": (a, b) => a === b,
+};
+
+const NUMBER_PATTERN = /^(>=|<=|>|<|=)?(-?\d+(?:\.\d+)?)$/;
+const DURATION_PATTERN = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)([smhdw])$/;
+
+/** Bare words that test a property instead of the text. */
+const FLAGS = {
+  deleted: (state, id, item) => Boolean(item.deleted || item.dead),
+  dead: (state, id, item) => Boolean(item.dead),
+  bookmarked: (state, id) => state.bookmarks.has(id),
+  unread: (state, id) => isUnread(state, id),
+  op: (state, id, item) =>
+    Boolean(item.by) && item.by === state.nodes.get(state.rootId)?.by,
+};
+
+class QueryError extends Error {}
+
+function parseNumber(field, value, example) {
+  const match = value.match(NUMBER_PATTERN);
+  if (!match) {
+    throw new QueryError(`${field} expects a number, like ${example}`);
+  }
+  const compare = COMPARATORS[match[1] || "="];
+  const target = Number(match[2]);
+  return (actual) => Number.isFinite(actual) && compare(actual, target);
+}
+
+/** Field name to a factory taking the raw value and returning a test. */
+const FIELDS = {
+  author: (value) => {
+    const name = value.toLowerCase();
+    return (state, id, item) => (item.by || "").toLowerCase() === name;
+  },
+  text: (value) => {
+    const needle = value.toLowerCase();
+    return (state, id, item) =>
+      stripHtml(item.text || item.title || "")
+        .toLowerCase()
+        .includes(needle);
+  },
+  id: (value) => {
+    const test = parseNumber("id", value, "id:8863");
+    return (state, id) => test(id);
+  },
+  depth: (value) => {
+    const test = parseNumber("depth", value, "depth:>3");
+    return (state, id) => test(state.depthMap.get(id) ?? 0);
+  },
+  replies: (value) => {
+    const test = parseNumber("replies", value, "replies:>=5");
+    return (state, id) => test(state.descCount.get(id) ?? 0);
+  },
+  kids: (value) => {
+    const test = parseNumber("kids", value, "kids:>2");
+    return (state, id, item) => test(item.kids?.length ?? 0);
+  },
+  sentiment: (value) => {
+    const label = value.toLowerCase();
+    if (SENTIMENT_LABELS.includes(label)) {
+      return (state, id) => state.sentiment.get(id)?.label === label;
+    }
+    if (!NUMBER_PATTERN.test(value)) {
+      throw new QueryError(
+        `sentiment expects ${SENTIMENT_LABELS.join(", ")} or a score, like sentiment:<-0.3`,
+      );
+    }
+    const test = parseNumber("sentiment", value, "sentiment:<-0.3");
+    return (state, id) => test(state.sentiment.get(id)?.score);
+  },
+  age: (value, context) => {
+    const match = value.match(DURATION_PATTERN);
+    if (!match) {
+      throw new QueryError("age expects a duration, like age:<2h or age:>1d");
+    }
+    const compare = COMPARATORS[match[1] || "="];
+    const seconds = Number(match[2]) * DURATION_UNITS[match[3]];
+    return (state, id, item) =>
+      Number.isFinite(item.time) && compare(context.now - item.time, seconds);
+  },
+};
+FIELDS.by = FIELDS.author;
+
+/** Split a query into tokens with their offsets; quotes may hold spaces. */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    let quoted = false;
+    while (i < text.length && (quoted || !/\s/.test(text[i]))) {
+      if (text[i] === '"') quoted = !quoted;
+      i += 1;
+    }
+    const raw = text.slice(start, i);
+    if (quoted) {
+      return { error: { message: "Unclosed quote", start, end: i } };
+    }
+    tokens.push({ raw, start, end: i });
+  }
+  return { tokens };
+}
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, "$1");
+}
+
+function compileToken(token, context) {
+  const negate = token.raw.length > 1 && token.raw.startsWith("-");
+  const body = negate ? token.raw.slice(1) : token.raw;
+  const colon = body.indexOf(":");
+  const field = colon > 0 ? body.slice(0, colon).toLowerCase() : "";
+  let test;
+  if (body.startsWith('"')) {
+    // Quoted terms are always literal text, colons and all.
+    test = FIELDS.text(unquote(body), context);
+  } else if (FIELDS[field]) {
+    const value = unquote(body.slice(colon + 1));
+    if (!value) throw new QueryError(`${field} needs a value`);
+    test = FIELDS[field](value, context);
+  } else if (colon > 0) {
+    // An unknown prefix is part of the text, as in `http://example.com`.
+    test = FIELDS.text(body, context);
+  } else {
+    test = FLAGS[body.toLowerCase()] || FIELDS.text(body, context);
+  }
+  return negate ? (...args) => !test(...args) : test;
+}
+
+/**
+ * Parse a filter query. Terms are ANDed; `-` negates a term. Fields:
+ * `author:` (or `by:`), `text:`, `id:`, `depth:`, `replies:` (all
+ * descendants), `kids:` (direct replies), `sentiment:` (label or score) and
+ * `age:` (`s`, `m`, `h`, `d`, `w`). Numbers take `>`, `>=`, `<`, `<=` or
+ * `=`. Bare words match the text, except the flags `deleted`, `dead`,
+ * `bookmarked`, `unread` and `op` (posted by the story author). Quoted terms
+ * and words with an unknown `prefix:` match the text as written.
+ * @param {string} text - Query text.
+ * @param {Object} [options] - `now` in Unix seconds, for `age:`.
+ * @returns {{ok: true, test: Function}|{ok: false, error: {message: string,
+ *   start: number, end: number}}} `test(state, id)` on success; otherwise
+ *   the error with the offsets of the offending token.
+ */
+export function parseQuery(text, options = {}) {
+  const context = { now: options.now ?? Date.now() / 1000 };
+  const { tokens, error } = tokenize(text);
+  if (error) return { ok: false, error };
+  const tests = [];
+  for (const token of tokens) {
+    try {
+      tests.push(compileToken(token, context));
+    } catch (error) {
+      if (!(error instanceof QueryError)) throw error;
+      const { start, end } = token;
+      return { ok: false, error: { message: error.message, start, end } };
+    }
+  }
+  return {
+    ok: true,
+    test: (state, id) => {
+      const item = state.nodes.get(id);
+      return Boolean(item) && tests.every((test) => test(state, id, item));
+    },
+  };
+}
+
+/**
+ * Nodes of the current tree that pass a parsed query.
+ * @returns {Set<number>} Matching IDs.
+ */
+export function matchQuery(state, test) {
+  const matches = new Set();
+  for (const id of state.treeIndex.keys()) {
+    if (test(state, id)) matches.add(id);
+  }
+  return matches;
+}
+
+/** Matches plus every ancestor up to the root, so the tree stays connected. */
+export function withAncestors(state, ids) {
+  const kept = new Set([state.rootId]);
+  for (const id of ids) {
+    for (let current = id; current !== null && !kept.has(current);) {
+      kept.add(current);
+      current = state.treeIndex.get(current)?.parentId ?? null;
+    }
+  }
+  return kept;
+}
+
+/**
+ * List saved filters by name.
+ * @returns {Promise<Array<{name: string, query: string, savedAt: string}>>}
+ */
+export async function listSavedFilters() {
+  try {
+    const db = await getDb();
+    const tx = db.transaction("filters", "readonly");
+    const entries = await requestToPromise(tx.objectStore("filters").getAll());
+    await txComplete(tx);
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.warn("Saved filter listing failed", error);
+    await handleDbError(error);
+    return [];
+  }
+}
+
+/**
+ * Save a filter under a name, replacing any filter of that name.
+ * @returns {Promise<boolean>} True if the save went through.
+ */
+export async function saveFilter(name, query) {
+  try {
+    const db = await getDb();
+    const tx = db.transaction("filters", "readwrite");
+    tx.objectStore("filters").put({
+      name,
+      query,
+      savedAt: new Date().toISOString(),
+    });
+    await txComplete(tx);
+    announce("filters");
+    return true;
+  } catch (error) {
+    console.warn("Filter save failed", error);
+    await handleDbError(error);
+    return false;
+  }
+}
+
+/**
+ * Delete a saved filter.
+ * @returns {Promise<boolean>} True if the delete went through.
+ */
+export async function deleteSavedFilter(name) {
+  try {
+    const db = await getDb();
+    const tx = db.transaction("filters", "readwrite");
+    tx.objectStore("filters").delete(name);
+    await txComplete(tx);
+    announce("filters");
+    return true;
+  } catch (error) {
+    console.warn("Filter delete failed", error);
+    await handleDbError(error);
+    return false;
+  }
+}
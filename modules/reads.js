@@ -0,0 +1,159 @@
+/**
+ * Read tracking: which comments of each thread have been read, kept in
+ * IndexedDB, plus unread navigation helpers.
+ * @module reads
+ */
+
+import { getDb, requestToPromise, txComplete, handleDbError } from "./db.js";
+import { announce } from "./sync.js";
+import { readingOrder } from "./data.js";
+
+/**
+ * Whether a comment is unread. The story itself, deleted items and
+ * placeholders never count, and nothing is unread until the thread's read
+ * set has loaded (`state.read` is null).
+ */
+export function isUnread(state, id) {
+  if (!state.read || id === state.rootId || state.read.has(id)) return false;
+  const item = state.nodes.get(id);
+  return Boolean(item) && !item.deleted && !item.dead;
+}
+
+/** Unread comments in the current tree. */
+export function countUnread(state) {
+  let count = 0;
+  for (const id of state.treeIndex.keys()) {
+    if (isUnread(state, id)) count += 1;
+  }
+  return count;
+}
+
+/**
+ * Find the nearest unread comment after (or before) a node in reading order
+ * (depth-first, replies in thread order), wrapping around the thread.
+ * @param {Object} state - Application state.
+ * @param {number|null} fromId - Starting node; the search excludes it.
+ * @param {number} [direction=1] - 1 for next, -1 for previous.
+ * @returns {number|null} Item ID, or null when everything is read.
+ */
+export function findUnread(state, fromId, direction = 1) {
+  if (!state.tree) return null;
+  const order = readingOrder(state.tree);
+  const start = Math.max(0, order.indexOf(fromId));
+  for (let step = 1; step <= order.length; step += 1) {
+    const index =
+      (((start + step * direction) % order.length) + order.length) %
+      order.length;
+    if (isUnread(state, order[index])) return order[index];
+  }
+  return null;
+}
+
+/**
+ * Load the IDs read in a thread.
+ * @param {string|number} rootId - Root item ID.
+ * @returns {Promise<Set<number>>} Read IDs; empty if none or on failure.
+ */
+export async function loadReadIds(rootId) {
+  try {
+    const db = await getDb();
+    const tx = db.transaction("reads", "readonly");
+    const entry = await requestToPromise(
+      tx.objectStore("reads").get(String(rootId)),
+    );
+    await txComplete(tx);
+    return new Set(entry?.ids || []);
+  } catch (error) {
+    console.warn("Read state load failed", error);
+    await handleDbError(error);
+    return new Set();
+  }
+}
+
+/**
+ * Add IDs to a thread's read set.
+ * @param {string|number} rootId - Root item ID.
+ * @param {number[]} ids - Newly read item IDs.
+ */
+export async function addReadIds(rootId, ids) {
+  if (!ids.length) return;
+  try {
+    const db = await getDb();
+    const tx = db.transaction("reads", "readwrite");
+    const store = tx.objectStore("reads");
+    const entry = await requestToPromise(store.get(String(rootId)));
+    const read = new Set(entry?.ids || []);
+    for (const id of ids) read.add(id);
+    store.put({
+      rootId: String(rootId),
+      ids: Array.from(read),
+      updatedAt: new Date().toISOString(),
+    });
+    await txComplete(tx);
+    announce("reads", { rootId: String(rootId) });
+  } catch (error) {
+    console.warn("Read state save failed", error);
+    await handleDbError(error);
+  }
+}
+
+/**
+ * Report elements that stay visible for a while, once each. Elements that
+ * qualify together (a freshly opened list) are reported in one batch per
+ * animation frame, so the caller redraws once rather than per element.
+ * @param {Element} root - Scroll container the elements sit in.
+ * @param {number} dwell - Milliseconds an element must stay visible.
+ * @param {Function} onDwell - Called with an array of elements that
+ *   qualified.
+ * @returns {{observe: Function, disconnect: Function}}
+ */
+export function createDwellTracker(root, dwell, onDwell) {
+  if (typeof IntersectionObserver === "undefined") {
+    return { observe() {}, disconnect() {} };
+  }
+  const timers = new Map();
+  let due = [];
+  let frame = 0;
+  const flush = () => {
+    frame = 0;
+    const elements = due;
+    due = [];
+    onDwell(elements);
+  };
+  const observer = new IntersectionObserver(
+    (entries) => {
+      for (const entry of entries) {
+        const target = entry.target;
+        if (entry.isIntersecting && !timers.has(target)) {
+          timers.set(
+            target,
+            setTimeout(() => {
+              timers.delete(target);
+              observer.unobserve(target);
+              due.push(target);
+              frame ||= requestAnimationFrame(flush);
+            }, dwell),
+          );
+        } else if (!entry.isIntersecting && timers.has(target)) {
+          clearTimeout(timers.get(target));
+          timers.delete(target);
+        }
+      }
+    },
+    { root, threshold: 0.8 },
+  );
+  return {
+    observe(elements) {
+      for (const element of elements) observer.observe(element);
+    },
+    disconnect() {
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+      if (frame) {
+        cancelAnimationFrame(frame);
+        flush();
+      }
+      observer.disconnect();
+    },
+  };
+}
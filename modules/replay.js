@@ -0,0 +1,92 @@
+/**
+ * Thread replay: time range helpers and the playback timer.
+ * Times are Unix seconds, like HN item `time` fields.
+ * @module replay
+ */
+
+/**
+ * Time span of a thread, from story submission to its newest item.
+ * @param {Map} nodes - Items keyed by ID.
+ * @param {number} rootId - Root item ID.
+ * @returns {{start: number, end: number}|null} Null without a timed root.
+ */
+export function getTimeRange(nodes, rootId) {
+  const start = nodes.get(rootId)?.time;
+  if (!Number.isFinite(start)) return null;
+  let end = start;
+  for (const item of nodes.values()) {
+    if (Number.isFinite(item.time) && item.time > end) end = item.time;
+  }
+  return { start, end };
+}
+
+/**
+ * Count items posted at or before a moment.
+ * @param {Map} nodes - Items keyed by ID.
+ * @param {number} cutoff - Unix seconds.
+ * @returns {number} Item count.
+ */
+export function countItemsUntil(nodes, cutoff) {
+  let count = 0;
+  for (const item of nodes.values()) {
+    if (Number.isFinite(item.time) && item.time <= cutoff) count += 1;
+  }
+  return count;
+}
+
+/** Compact duration such as "45m", "2h 15m" or "3d 4h". */
+export function formatElapsed(seconds) {
+  const minutes = Math.max(0, Math.floor(seconds / 60));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Create a player that moves a cutoff forward in time.
+ * @param {Function} onStep - Called with `(cutoff, done)` on every tick.
+ * @param {Object} options - Initial settings.
+ * @param {number} options.tick - Milliseconds between steps.
+ * @param {number} options.speed - Thread seconds played per real second.
+ * @returns {Object} Replayer with play/stop/configure.
+ */
+export function createReplayer(onStep, options) {
+  const settings = { ...options };
+  let timer = 0;
+  let cutoff = 0;
+  let end = 0;
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = 0;
+  };
+
+  const step = () => {
+    cutoff = Math.min(end, cutoff + (settings.speed * settings.tick) / 1000);
+    const done = cutoff >= end;
+    if (done) stop();
+    onStep(cutoff, done);
+  };
+
+  return {
+    get playing() {
+      return timer !== 0;
+    },
+    /**
+     * Play from one moment to another, replacing any playback in progress.
+     * @param {number} from - Start cutoff.
+     * @param {number} to - End cutoff.
+     */
+    play(from, to) {
+      stop();
+      cutoff = from;
+      end = to;
+      timer = setInterval(step, settings.tick);
+    },
+    stop,
+    configure(next) {
+      Object.assign(settings, next);
+    },
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Deep links: the current view encoded in the URL hash, e.g.
+ * `#thread=8863&layout=tidy&selected=8952&collapsed=9224,9251&view=1.2,-40,80`
+ * or `#layout=frontpage&feed=best`.
+ * @module route
+ */
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function parseView(value) {
+  const [scale, tx, ty] = String(value || "")
+    .split(",")
+    .map(Number);
+  if (![scale, tx, ty].every(Number.isFinite) || scale <= 0) return null;
+  return { scale, tx, ty };
+}
+
+/**
+ * Read a route from a URL hash. Malformed fields are dropped.
+ * @param {string} hash - `location.hash`, with or without the leading `#`.
+ * @returns {{thread: number|null, layout: string|null, selected: number|null,
+ *   collapsed: number[], view: Object|null, feed: string|null}}
+ */
+export function parseRoute(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  return {
+    thread: parseId(params.get("thread")),
+    layout: params.get("layout") || null,
+    selected: parseId(params.get("selected")),
+    collapsed: (params.get("collapsed") || "")
+      .split(",")
+      .map(parseId)
+      .filter(Boolean),
+    view: parseView(params.get("view")),
+    feed: params.get("feed") || null,
+  };
+}
+
+/**
+ * Write a route as a URL hash. Empty fields are left out.
+ * @param {Object} route - Fields as returned by `parseRoute`.
+ * @returns {string} Hash including the leading `#`.
+ */
+export function formatRoute(route) {
+  const parts = [];
+  const add = (key, value) => {
+    parts.push(`${key}=${encodeURIComponent(value).replace(/%2C/g, ",")}`);
+  };
+  if (route.thread) add("thread", route.thread);
+  if (route.layout) add("layout", route.layout);
+  if (route.feed) add("feed", route.feed);
+  if (route.selected && route.selected !== route.thread) {
+    add("selected", route.selected);
+  }
+  if (route.collapsed?.length) {
+    add("collapsed", [...route.collapsed].sort((a, b) => a - b).join(","));
+  }
+  if (route.view) {
+    const { scale, tx, ty } = route.view;
+    add(
+      "view",
+      [Number(scale.toFixed(3)), Math.round(tx), Math.round(ty)].join(","),
+    );
+  }
+  return `#${parts.join("&")}`;
+}
+
+/**
+ * Whether moving between two routes is a navigation worth its own history
+ * entry (another thread, feed or selection) rather than an in-place update.
+ */
+export function isNewEntry(from, to) {
+  return (
+    (from.thread ?? null) !== (to.thread ?? null) ||
+    (from.feed ?? null) !== (to.feed ?? null) ||
+    (from.selected ?? from.thread) !== (to.selected ?? to.thread)
+  );
+}
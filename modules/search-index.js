@@ -0,0 +1,130 @@
+/**
+ * Inverted index helpers for searching across cached threads: turning items
+ * into per-term records and building result snippets. DOM-free, so the
+ * index can be rebuilt during a database upgrade.
+ * @module search-index
+ */
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by for from has have i if in is it its of on " +
+    "or so that the this to was we were what when which who will with you"
+  ).split(" "),
+);
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+const MAX_TERM_LENGTH = 40;
+
+/** Shortest last word searched as a prefix, so `postg` finds `postgres`. */
+const MIN_PREFIX_LENGTH = 3;
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Plain text of item HTML: tags dropped, paragraphs spaced, entities decoded.
+ * @param {string} html - HN item text.
+ * @returns {string}
+ */
+export function plainText(html) {
+  if (!html) return "";
+  return html
+    .replace(/<p>/gi, " ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, code) => {
+      if (code[0] !== "#") return ENTITIES[code.toLowerCase()] ?? match;
+      const value =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : Number(code.slice(1));
+      // Out-of-range and surrogate code points stay as written.
+      const valid =
+        Number.isFinite(value) &&
+        value <= 0x10ffff &&
+        (value < 0xd800 || value > 0xdfff);
+      return valid ? String.fromCodePoint(value) : match;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Lowercase words of a text, without stop words and one-letter words. */
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(
+      (word) =>
+        word.length > 1 &&
+        word.length <= MAX_TERM_LENGTH &&
+        !STOP_WORDS.has(word),
+    );
+}
+
+/**
+ * Index records for one thread: one per distinct term, listing the items
+ * that contain it with their occurrence counts. The story title is indexed
+ * under the root ID.
+ * @param {string|number} rootId - Root item ID.
+ * @param {Array} items - Thread items.
+ * @returns {Array<{term: string, rootId: string, hits: Array<[number,
+ *   number]>}>}
+ */
+export function buildIndexRecords(rootId, items) {
+  const terms = new Map();
+  for (const item of items) {
+    if (!item || item.deleted || item.dead) continue;
+    const words = tokenize(`${item.title || ""} ${plainText(item.text)}`);
+    const counts = new Map();
+    for (const word of words) counts.set(word, (counts.get(word) || 0) + 1);
+    for (const [word, count] of counts) {
+      if (!terms.has(word)) terms.set(word, []);
+      terms.get(word).push([item.id, count]);
+    }
+  }
+  return Array.from(terms, ([term, hits]) => ({
+    term,
+    rootId: String(rootId),
+    hits,
+  }));
+}
+
+/**
+ * Split a search query into index lookups. Every word must match; the last
+ * one also matches as a prefix while the user is still typing it.
+ * @param {string} query - Search box value.
+ * @returns {Array<{term: string, prefix: boolean}>}
+ */
+export function parseIndexQuery(query) {
+  const words = Array.from(new Set(tokenize(query)));
+  return words.map((term, index) => ({
+    term,
+    prefix: index === words.length - 1 && term.length >= MIN_PREFIX_LENGTH,
+  }));
+}
+
+/**
+ * A stretch of plain text around the first query word it contains.
+ * @param {string} text - Plain text.
+ * @param {Array<{term: string}>} terms - Result of `parseIndexQuery`.
+ * @returns {string}
+ */
+export function makeSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const positions = terms
+    .map(({ term }) =>
+      lower.search(new RegExp(`(^|[^\\p{L}\\p{N}])${term}`, "u")),
+    )
+    .filter((position) => position >= 0);
+  const at = positions.length ? Math.min(...positions) : 0;
+  const start = Math.max(0, at - SNIPPET_LENGTH / 4);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? "..." : ""}${text.slice(start, end).trim()}${end < text.length ? "..." : ""}`;
+}
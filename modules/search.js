@@ -0,0 +1,69 @@
+/**
+ * In-thread search over comment text, author and item ID.
+ * @module search
+ */
+
+import { stripHtml } from "./utils.js";
+import { readingOrder, isBeforeCutoff } from "./data.js";
+
+/** Plain text of items, cached while the item object stays the same. */
+const textCache = new WeakMap();
+
+function searchText(item) {
+  let text = textCache.get(item);
+  if (text === undefined) {
+    text = [item.title, item.text ? stripHtml(item.text) : ""]
+      .filter(Boolean)
+      .join("\n");
+    textCache.set(item, text);
+  }
+  return text;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a matcher for a search query. Plain queries match text and authors
+ * as substrings and IDs exactly (`123` or `#123`); regex queries are tested
+ * against all three.
+ * @param {string} query - Search box value.
+ * @param {Object} [options] - `caseSensitive` and `regex` flags.
+ * @returns {Function|null} Test taking an item; null for an empty query.
+ * @throws {SyntaxError} If a regex query does not compile.
+ */
+export function compileSearch(query, options = {}) {
+  const text = query.trim();
+  if (!text) return null;
+  const flags = options.caseSensitive ? "" : "i";
+  if (options.regex) {
+    const pattern = new RegExp(text, flags);
+    return (item) =>
+      pattern.test(String(item.id)) ||
+      pattern.test(item.by || "") ||
+      pattern.test(searchText(item));
+  }
+  const pattern = new RegExp(escapeRegExp(text), flags);
+  const id = text.replace(/^#/, "");
+  return (item) =>
+    String(item.id) === id ||
+    pattern.test(item.by || "") ||
+    pattern.test(searchText(item));
+}
+
+/**
+ * Items of the current tree that match, in reading order. Replies hidden by
+ * the replay cutoff are skipped.
+ * @param {Object} state - Application state.
+ * @param {Function} matcher - Result of `compileSearch`.
+ * @returns {number[]} Matching item IDs.
+ */
+export function findMatches(state, matcher) {
+  if (!state.tree) return [];
+  return readingOrder(state.tree).filter((id) => {
+    const item = state.nodes.get(id);
+    const visible = id === state.tree.id || isBeforeCutoff({ id }, state);
+    return item && visible && matcher(item);
+  });
+}
@@ -0,0 +1,36 @@
+/**
+ * Data source registry and selection.
+ * @module sources
+ */
+
+import { DEFAULT_SOURCE } from "../config.js";
+import firebase from "./source-firebase.js";
+import algolia from "./source-algolia.js";
+
+export const sourceList = [algolia, firebase];
+
+let activeSourceId = DEFAULT_SOURCE;
+
+export function getSource(id) {
+  return sourceList.find((source) => source.id === id) || firebase;
+}
+
+export function getActiveSource() {
+  return getSource(activeSourceId);
+}
+
+export function setActiveSource(id) {
+  activeSourceId = getSource(id).id;
+}
+
+/**
+ * Sources to try in order: the active one first, then the rest as fallbacks.
+ * @param {...string} capabilities - Method names; a source needs any of them.
+ * @returns {Object[]} Ordered sources.
+ */
+export function getSourceOrder(...capabilities) {
+  const active = getActiveSource();
+  return [active, ...sourceList.filter((source) => source !== active)].filter(
+    (source) => capabilities.some((name) => typeof source[name] === "function"),
+  );
+}
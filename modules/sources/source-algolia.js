@@ -0,0 +1,54 @@
+const API_BASE = "https://hn.algolia.com/api/v1";
+
+/**
+ * Flatten an Algolia `items/:id` node into Firebase-shaped items.
+ * @param {Object} node - Nested Algolia item.
+ * @param {Array} items - Output list, filled in pre-order.
+ */
+function normalizeItem(node, items) {
+  const children = (node.children || []).filter((child) => child?.id != null);
+  const item = {
+    id: node.id,
+    type: node.type || "comment",
+  };
+  if (node.created_at_i) item.time = node.created_at_i;
+  if (node.author) item.by = node.author;
+  if (node.title) item.title = node.title;
+  if (node.url) item.url = node.url;
+  if (node.text) item.text = node.text;
+  if (typeof node.points === "number") item.score = node.points;
+  if (node.parent_id != null) item.parent = node.parent_id;
+  if (item.type === "comment" && !node.author && !node.text) {
+    item.deleted = true;
+  }
+  if (children.length) item.kids = children.map((child) => child.id);
+
+  items.push(item);
+  for (const child of children) {
+    normalizeItem(child, items);
+  }
+}
+
+async function fetchThread(rootId, options = {}) {
+  const response = await fetch(`${API_BASE}/items/${rootId}`, {
+    signal: options.signal,
+    cache: options.fresh ? "no-cache" : "default",
+  });
+  if (!response.ok) throw new Error(`Failed to load ${rootId}`);
+  const data = await response.json();
+  if (!data || data.id == null) throw new Error(`Thread ${rootId} not found`);
+
+  const items = [];
+  normalizeItem(data, items);
+  if (items[0].type === "story") {
+    items[0].descendants = items.filter((item) => !item.deleted).length - 1;
+  }
+  return items;
+}
+
+export default {
+  id: "algolia",
+  label: "Algolia HN",
+  description: "Whole nested thread in a single request.",
+  fetchThread,
+};
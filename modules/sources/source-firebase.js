@@ -0,0 +1,53 @@
+const API_BASE = "https://hacker-news.firebaseio.com/v0";
+
+/** Maps feed type names to API endpoint names. */
+const FEED_MAP = {
+  top: "topstories",
+  new: "newstories",
+  best: "beststories",
+  ask: "askstories",
+  show: "showstories",
+  job: "jobstories",
+};
+
+async function fetchItem(id, options = {}) {
+  const response = await fetch(`${API_BASE}/item/${id}.json`, {
+    signal: options.signal,
+    cache: options.fresh ? "no-cache" : "default",
+  });
+  if (!response.ok) throw new Error(`Failed to load ${id}`);
+  return response.json();
+}
+
+async function fetchStoryIds(kind = "top", options = {}) {
+  const feed = FEED_MAP[kind] || FEED_MAP.top;
+  const response = await fetch(`${API_BASE}/${feed}.json`, {
+    signal: options.signal,
+    cache: options.fresh ? "no-cache" : "default",
+  });
+  if (!response.ok) throw new Error(`Failed to load ${feed}`);
+  return response.json();
+}
+
+/**
+ * Recently changed item IDs from the live `updates` feed.
+ * @returns {Promise<number[]>} Item IDs.
+ */
+async function fetchUpdates(options = {}) {
+  const response = await fetch(`${API_BASE}/updates.json`, {
+    signal: options.signal,
+    cache: options.fresh ? "no-cache" : "default",
+  });
+  if (!response.ok) throw new Error("Failed to load updates");
+  const data = await response.json();
+  return Array.isArray(data?.items) ? data.items : [];
+}
+
+export default {
+  id: "firebase",
+  label: "HN Firebase",
+  description: "Official API, walks the thread one item at a time.",
+  fetchItem,
+  fetchStoryIds,
+  fetchUpdates,
+};
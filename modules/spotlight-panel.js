@@ -0,0 +1,96 @@
+/**
+ * Author spotlight panel: one author's comments in time order and the
+ * people they talked to.
+ * @module spotlight-panel
+ */
+
+import { snippetFromItem } from "./ui.js";
+import { escapeHtml, formatTime } from "./utils.js";
+
+const SNIPPET_LENGTH = 120;
+
+function buildPeople(people) {
+  if (!people.length) return `<span class="cache-meta">Nobody</span>`;
+  return people
+    .map(
+      ([name, count]) =>
+        `<button class="author-chip" data-author="${escapeHtml(name)}" title="Spotlight ${escapeHtml(name)}">${escapeHtml(name)} <span>${count}</span></button>`,
+    )
+    .join("");
+}
+
+function buildRow(state, id) {
+  const item = state.nodes.get(id);
+  const text = snippetFromItem(item, `#${id}`);
+  const snippet =
+    text.length > SNIPPET_LENGTH
+      ? `${text.slice(0, SNIPPET_LENGTH - 3)}...`
+      : text;
+  const meta = [
+    `depth ${state.depthMap.get(id) ?? 0}`,
+    `${state.descCount.get(id) ?? 0} replies`,
+    formatTime(item?.time),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const classes = ["cache-item", id === state.selectedId ? "current" : ""]
+    .filter(Boolean)
+    .join(" ");
+  return `<li class="${classes}" data-id="${id}">
+    <div class="cache-info">
+      <button class="cache-open" data-action="open" title="Select this comment">${escapeHtml(snippet)}</button>
+      <div class="cache-meta">${escapeHtml(meta)}</div>
+    </div>
+  </li>`;
+}
+
+/**
+ * Show the spotlight for a summary from `summarizeAuthor`, or hide the
+ * panel when there is none.
+ * @param {Object} el - DOM element references.
+ * @param {Object} state - Application state.
+ * @param {Object|null} summary - Author summary.
+ */
+export function renderSpotlightPanel(el, state, summary) {
+  if (!el.spotlightPanel) return;
+  el.spotlightPanel.hidden = !summary;
+  if (!summary) return;
+  const { author, ids } = summary;
+  const position = ids.indexOf(state.selectedId);
+  el.spotlightTitle.textContent = `Spotlight: ${author}`;
+  el.spotlightMeta.textContent = [
+    `${ids.length} item${ids.length === 1 ? "" : "s"}`,
+    position >= 0 ? `${position + 1} of ${ids.length} selected` : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  el.spotlightRepliedTo.innerHTML = buildPeople(summary.repliedTo);
+  el.spotlightRepliedBy.innerHTML = buildPeople(summary.repliedBy);
+  el.spotlightList.innerHTML = ids.length
+    ? ids.map((id) => buildRow(state, id)).join("")
+    : `<li class="cache-empty">Nothing by ${escapeHtml(author)} in this view.</li>`;
+  el.spotlightPrev.disabled = !ids.length;
+  el.spotlightNext.disabled = !ids.length;
+}
+
+/**
+ * Wire panel actions.
+ * @param {Object} el - DOM element references.
+ * @param {Object} handlers - Callbacks.
+ * @param {Function} handlers.onOpen - Called with an item ID to select.
+ * @param {Function} handlers.onStep - Called with 1 (next) or -1 (previous).
+ * @param {Function} handlers.onClose - Leaves the spotlight.
+ */
+export function setupSpotlightPanel(el, handlers) {
+  if (!el.spotlightPanel) return;
+
+  el.spotlightList.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-action]");
+    const row = event.target.closest("[data-id]");
+    if (!button || !row) return;
+    handlers.onOpen(Number(row.dataset.id));
+  });
+  el.spotlightPrev.addEventListener("click", () => handlers.onStep(-1));
+  el.spotlightNext.addEventListener("click", () => handlers.onStep(1));
+  el.spotlightClose.addEventListener("click", () => handlers.onClose());
+}
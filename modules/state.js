@@ -14,8 +14,29 @@ export const state = {
   descCount: new Map(),
   subtreeSize: new Map(),
   collapsed: new Set(),
+  /** Replay cutoff (Unix seconds); items posted later are hidden. */
+  cutoff: null,
   laneColors: new Map(),
   sentiment: new Map(),
+  missing: new Set(),
+  fresh: new Set(),
+  /** Bookmarks of the open thread, keyed by item ID. */
+  bookmarks: new Map(),
+  /** Read comment IDs of the open thread; null until loaded. */
+  read: null,
+  /** Search hits; while set, only these (and the selection) are in focus. */
+  highlight: null,
+  /** Active filter (`{query, mode, matches, visible}`), or null. */
+  filter: null,
+  /** Author whose comments are in the spotlight, or null. */
+  spotlight: null,
+  /** Debate chains marked in layouts (`{nodes, links}` ID sets), or null. */
+  debates: null,
+  loading: false,
+  /** Past snapshot on screen (`{key, takenAt}`), or null for the latest. */
+  snapshot: null,
+  /** Snapshot compared against (`{key, takenAt, added, updated, removed}`). */
+  compare: null,
   focus: {
     ancestors: new Set(),
     descendants: new Set(),
@@ -37,10 +58,22 @@ export function resetState() {
   state.descCount.clear();
   state.subtreeSize.clear();
   state.collapsed.clear();
+  state.cutoff = null;
   state.layout.clear();
   state.treeIndex.clear();
   state.laneColors.clear();
   state.sentiment.clear();
+  state.missing.clear();
+  state.fresh.clear();
+  state.bookmarks.clear();
+  state.read = null;
+  state.highlight = null;
+  state.filter = null;
+  state.spotlight = null;
+  state.debates = null;
+  state.loading = false;
+  state.snapshot = null;
+  state.compare = null;
   state.focus.ancestors.clear();
   state.focus.descendants.clear();
   state.focus.active = false;
@@ -15,6 +15,18 @@ export function svgEl(tag, attrs = {}) {
   return el;
 }
 
+/**
+ * Ribbon marking a bookmarked node, drawn from its top-left corner.
+ * @param {number} x - Left edge.
+ * @param {number} y - Top edge.
+ */
+export function bookmarkBadge(x, y) {
+  return svgEl("path", {
+    d: `M ${x} ${y} h 8 v 11 l -4 -3 l -4 3 z`,
+    class: "bookmark-badge",
+  });
+}
+
 export function clearElement(el) {
   while (el.firstChild) {
     el.removeChild(el.firstChild);
@@ -0,0 +1,53 @@
+/**
+ * Cross-tab sync: storage writes are announced to other open tabs over a
+ * BroadcastChannel. A tab never receives its own announcements.
+ * @module sync
+ */
+
+const CHANNEL_NAME = "hn-thread-atlas";
+
+let channel = null;
+const listeners = new Set();
+
+function getChannel() {
+  if (channel || typeof BroadcastChannel === "undefined") return channel;
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = (event) => {
+    for (const listener of listeners) listener(event.data);
+  };
+  return channel;
+}
+
+/**
+ * Tell other tabs about a write. Message types:
+ * - `thread`: `{id, fetchedAt}` after a thread was cached.
+ * - `snapshot`: `{rootId}` after a snapshot was recorded.
+ * - `frontpage`: `{kind}` after a story list was cached.
+ * - `llm`: `{rootId, branchId, sentiment}` after an LLM result was saved;
+ *   `sentiment` is true when it carries sentiment tags.
+ * - `cache`: threads were pinned, unpinned, deleted or cleared.
+ * - `bookmarks`: `{rootId}` after a bookmark in that thread was added,
+ *   edited or removed.
+ * - `reads`: `{rootId}` after comments in that thread were marked read.
+ * - `filters`: a saved filter was added, replaced or deleted.
+ * @param {string} type - Message type.
+ * @param {Object} [detail] - Message fields.
+ */
+export function announce(type, detail = {}) {
+  try {
+    getChannel()?.postMessage({ type, ...detail });
+  } catch (error) {
+    console.warn("Sync announce failed", error);
+  }
+}
+
+/**
+ * Listen for announcements from other tabs.
+ * @param {Function} listener - Called with `{type, ...detail}`.
+ * @returns {Function} Unsubscribe.
+ */
+export function onSync(listener) {
+  getChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
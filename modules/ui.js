@@ -3,13 +3,21 @@
  * @module ui
  */
 
-import { formatTime, sanitizeHtml, stripHtml } from "./utils.js";
+import { escapeHtml, formatTime, sanitizeHtml, stripHtml } from "./utils.js";
+import { isUnread, countUnread } from "./reads.js";
 
 export function setStatus(el, message) {
   el.status.textContent = message;
 }
 
-function snippetFromItem(item, fallback) {
+/** Author name as a button that opens the author spotlight. */
+function authorLink(name) {
+  if (!name) return "anonymous";
+  const escaped = escapeHtml(name);
+  return `<button class="author-link" data-author="${escaped}" title="Spotlight ${escaped}">${escaped}</button>`;
+}
+
+export function snippetFromItem(item, fallback) {
   if (!item) return fallback;
   if (item.deleted || item.dead) return "[deleted]";
   if (item.text) {
@@ -31,11 +39,18 @@ export function updateDetails(state, el) {
       "Click a node to read its content and explore that branch.";
     el.collapseBtn.disabled = true;
     el.hnLink.href = "https://news.ycombinator.com";
+    updateBookmarkControls(state, el);
     return;
   }
 
   const item = state.nodes.get(id);
-  if (!item) return;
+  if (!item) {
+    const node = state.treeIndex.get(id);
+    if (node?.missing || node?.pending) {
+      updatePlaceholderDetails(state, el, node);
+    }
+    return;
+  }
 
   const isStory = item.type === "story";
   const author = item.by || "anonymous";
@@ -49,12 +64,15 @@ export function updateDetails(state, el) {
     el.selection.textContent = `Selected: ${author} (#${id})`;
   }
 
-  el.detailTitle.textContent = isStory
-    ? item.title || "Story"
-    : `Comment by ${author}`;
+  if (isStory) {
+    el.detailTitle.textContent = item.title || "Story";
+  } else {
+    el.detailTitle.innerHTML = `Comment by ${authorLink(item.by)}`;
+  }
   el.detailMeta.innerHTML = [
     `<span>ID ${id}</span>`,
     `<span>${isStory ? "Story" : "Comment"}</span>`,
+    isStory ? `<span>by ${authorLink(item.by)}</span>` : "",
     `<span>Depth ${depth}</span>`,
     `<span>${kids} direct replies</span>`,
     `<span>${desc} total replies</span>`,
@@ -84,6 +102,38 @@ export function updateDetails(state, el) {
   el.collapseBtn.disabled = !(item.kids && item.kids.length);
   el.collapseBtn.textContent = state.collapsed.has(id) ? "Expand" : "Collapse";
   el.hnLink.href = `https://news.ycombinator.com/item?id=${id}`;
+  updateBookmarkControls(state, el, id);
+}
+
+/** Bookmark button and note field for the selected item. */
+function updateBookmarkControls(state, el, id = null) {
+  if (!el.bookmarkBtn) return;
+  const bookmark = id !== null ? state.bookmarks.get(id) : null;
+  el.bookmarkBtn.disabled = id === null;
+  el.bookmarkBtn.textContent = bookmark ? "Remove bookmark" : "Bookmark";
+  el.bookmarkNoteField.hidden = !bookmark;
+  if (bookmark && document.activeElement !== el.bookmarkNote) {
+    el.bookmarkNote.value = bookmark.note;
+  }
+}
+
+function updatePlaceholderDetails(state, el, node) {
+  const { id, pending } = node;
+  const depth = state.depthMap.get(id) ?? 0;
+  if (el.selection) {
+    el.selection.textContent = `Selected: ${pending ? "loading" : "unavailable"} (#${id})`;
+  }
+  el.detailTitle.textContent = pending ? "Loading item" : "Unavailable item";
+  el.detailMeta.innerHTML = [
+    `<span>ID ${id}</span>`,
+    `<span>Depth ${depth}</span>`,
+  ].join(" | ");
+  el.detailBody.textContent = pending
+    ? "This item has not been fetched yet."
+    : "This item could not be loaded. Use retry in the status bar to try again.";
+  el.collapseBtn.disabled = true;
+  el.hnLink.href = `https://news.ycombinator.com/item?id=${id}`;
+  updateBookmarkControls(state, el);
 }
 
 function buildSentimentSummary(state, rootId) {
@@ -144,10 +194,21 @@ export function updateStats(state, el) {
 
   const topAuthor = [...authorCounts.entries()].sort((a, b) => b[1] - a[1])[0];
 
-  const chips = [
+  const chips = [];
+  if (state.snapshot) {
+    chips.push(
+      `<span class=\"stat-chip snapshot\">Snapshot <strong>${new Date(state.snapshot.takenAt).toLocaleString()}</strong></span>`,
+    );
+  }
+  chips.push(
     `<span class=\"stat-chip\"><strong>${comments.length}</strong> comments</span>`,
     `<span class=\"stat-chip\"><strong>${maxDepth}</strong> max depth</span>`,
-  ];
+  );
+  if (state.read) {
+    chips.push(
+      `<span class=\"stat-chip unread\"><strong>${countUnread(state)}</strong> unread</span>`,
+    );
+  }
 
   if (topBranch) {
     chips.push(
@@ -157,7 +218,7 @@ export function updateStats(state, el) {
 
   if (topAuthor) {
     chips.push(
-      `<span class=\"stat-chip\"><strong>${topAuthor[0]}</strong> ${topAuthor[1]} posts</span>`,
+      `<span class=\"stat-chip\"><strong>${authorLink(topAuthor[0])}</strong> ${topAuthor[1]} posts</span>`,
     );
   }
 
@@ -199,18 +260,27 @@ export function updateBranchView(state, el, options = {}) {
     stats.count += 1;
     const item = state.nodes.get(node.id);
     const li = document.createElement("li");
-    li.className = `branch-item${node.id === id ? " selected" : ""}`;
+    li.className = `branch-item${node.id === id ? " selected" : ""}${node.missing ? " missing" : ""}${node.pending ? " pending" : ""}${isUnread(state, node.id) ? " unread" : ""}`;
     li.dataset.id = String(node.id);
 
     const header = document.createElement("div");
     header.className = "branch-header";
 
-    const author = item?.by || "anonymous";
     const replies = item?.kids ? item.kids.length : 0;
-    const label = item?.type === "story" ? "Story" : `@${author}`;
+    const label = node.missing
+      ? "Unavailable"
+      : node.pending
+        ? "Loading"
+        : item?.type === "story"
+          ? "Story"
+          : null;
 
     const headerText = document.createElement("span");
-    headerText.textContent = `${label} | depth ${depth} | ${replies} replies`;
+    if (label) {
+      headerText.textContent = `${label} | depth ${depth} | ${replies} replies`;
+    } else {
+      headerText.innerHTML = `@${authorLink(item?.by)} | depth ${depth} | ${replies} replies`;
+    }
     header.appendChild(headerText);
 
     const sentiment = state.sentiment?.get(node.id);
@@ -232,3 +232,19 @@ export function extractJson(text) {
   }
   return null;
 }
+
+/**
+ * Format a byte count for display.
+ * @param {number} bytes - Size in bytes.
+ * @returns {string} Human-readable size.
+ */
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const power = Math.min(
+    Math.floor(Math.log(bytes) / Math.log(1024)),
+    units.length - 1,
+  );
+  const value = bytes / 1024 ** power;
+  return `${value >= 10 || power === 0 ? Math.round(value) : value.toFixed(1)} ${units[power]}`;
+}
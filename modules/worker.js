@@ -0,0 +1,55 @@
+/**
+ * Pipeline worker entry. Runs thread engine operations posted by
+ * `modules/pipeline.js` and posts progress and results back.
+ * @module worker
+ */
+
+import { createThreadEngine } from "./engine.js";
+
+const engine = createThreadEngine();
+const controllers = new Map();
+
+/** Typed-array buffers in a result, so they can be transferred, not copied. */
+function collectTransfers(value, buffers = [], depth = 0) {
+  if (!value || typeof value !== "object" || depth > 3) return buffers;
+  if (ArrayBuffer.isView(value)) {
+    if (!buffers.includes(value.buffer)) buffers.push(value.buffer);
+    return buffers;
+  }
+  if (Array.isArray(value)) return buffers;
+  for (const child of Object.values(value)) {
+    collectTransfers(child, buffers, depth + 1);
+  }
+  return buffers;
+}
+
+self.onmessage = async (event) => {
+  const { id, op, args } = event.data;
+  if (op === "abort") {
+    controllers.get(id)?.abort();
+    return;
+  }
+
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  try {
+    if (typeof engine[op] !== "function") {
+      throw new Error(`Unknown pipeline operation: ${op}`);
+    }
+    const result = await engine[op](args, {
+      signal: controller.signal,
+      onProgress: (count, done) => {
+        self.postMessage({ id, type: "progress", count, done });
+      },
+    });
+    self.postMessage({ id, type: "result", result }, collectTransfers(result));
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: "error",
+      error: { name: error?.name, message: error?.message || String(error) },
+    });
+  } finally {
+    controllers.delete(id);
+  }
+};
@@ -10,7 +10,8 @@ echo ""
 # Check JavaScript syntax
 echo "Checking JavaScript syntax..."
 node --check app.js
-for f in modules/*.js modules/layouts/*.js; do
+node --check sw.js
+for f in modules/*.js modules/layouts/*.js modules/sources/*.js; do
   node --check "$f"
 done
 echo "✓ All JavaScript files pass syntax check"
@@ -18,7 +19,7 @@ echo "✓ All JavaScript files pass syntax check"
 # Check required files
 echo ""
 echo "Checking required files..."
-REQUIRED_FILES=("index.html" "styles.css" "app.js" "README.md" "LICENSE" "CONTRIBUTING.md" "CODE_OF_CONDUCT.md" "SECURITY.md")
+REQUIRED_FILES=("index.html" "styles.css" "app.js" "sw.js" "README.md" "LICENSE" "CONTRIBUTING.md" "CODE_OF_CONDUCT.md" "SECURITY.md")
 for f in "${REQUIRED_FILES[@]}"; do
   if [ ! -f "$f" ]; then
     echo "✗ Missing: $f"
@@ -27,6 +28,17 @@ for f in "${REQUIRED_FILES[@]}"; do
 done
 echo "✓ All required files present"
 
+# Check the service worker precaches every module
+echo ""
+echo "Checking service worker precache list..."
+for f in modules/*.js modules/layouts/*.js modules/sources/*.js; do
+  if ! grep -q "\"$f\"" sw.js; then
+    echo "✗ Not precached in sw.js: $f"
+    exit 1
+  fi
+done
+echo "✓ All modules precached"
+
 # Summary
 echo ""
 echo "=== Release Ready ==="
@@ -0,0 +1,163 @@
+/**
+ * Service worker: offline app shell and HN API responses.
+ *
+ * - App files are precached on install and served network first, so edits
+ *   show up on reload while the cached copy covers offline use.
+ * - HN API responses are served stale-while-revalidate. Requests made with
+ *   `cache: "no-cache"` (refresh, follow, forced reloads) go to the network
+ *   first and fall back to the cached response.
+ *
+ * Every file under `modules/` must be listed in `PRECACHE`
+ * (scripts/prepare-release.sh checks this). Any edit to this file reinstalls
+ * the worker, which refreshes the precache.
+ */
+
+const VERSION = "v1";
+const SHELL_CACHE = `atlas-shell-${VERSION}`;
+const API_CACHE = `atlas-api-${VERSION}`;
+
+/** Cached API responses kept before the oldest are dropped. */
+const MAX_API_ENTRIES = 4000;
+
+const API_HOSTS = ["hacker-news.firebaseio.com", "hn.algolia.com"];
+
+const PRECACHE = [
+  "./",
+  "index.html",
+  "app.js",
+  "styles.css",
+  "modules/archive.js",
+  "modules/authors.js",
+  "modules/bookmark-panel.js",
+  "modules/bookmarks.js",
+  "modules/cache-panel.js",
+  "modules/cache-search-panel.js",
+  "modules/cache.js",
+  "modules/color.js",
+  "modules/config.js",
+  "modules/data.js",
+  "modules/db.js",
+  "modules/debate-panel.js",
+  "modules/debates.js",
+  "modules/dom.js",
+  "modules/engine.js",
+  "modules/exchange-panel.js",
+  "modules/focus.js",
+  "modules/follow.js",
+  "modules/frontpage.js",
+  "modules/history.js",
+  "modules/llm.js",
+  "modules/offline.js",
+  "modules/pipeline.js",
+  "modules/query.js",
+  "modules/reads.js",
+  "modules/replay.js",
+  "modules/route.js",
+  "modules/search-index.js",
+  "modules/search.js",
+  "modules/spotlight-panel.js",
+  "modules/state.js",
+  "modules/svg.js",
+  "modules/sync.js",
+  "modules/text.js",
+  "modules/ui.js",
+  "modules/utils.js",
+  "modules/worker.js",
+  "modules/layouts/index.js",
+  "modules/layouts/layout-frontpage.js",
+  "modules/layouts/layout-icicle.js",
+  "modules/layouts/layout-lanes.js",
+  "modules/layouts/layout-network.js",
+  "modules/layouts/layout-sankey.js",
+  "modules/layouts/layout-sunburst.js",
+  "modules/layouts/layout-tidy.js",
+  "modules/layouts/layout-treemap.js",
+  "modules/sources/index.js",
+  "modules/sources/source-algolia.js",
+  "modules/sources/source-firebase.js",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== SHELL_CACHE && key !== API_CACHE)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+let putsSinceTrim = 0;
+
+async function trimApiCache(cache) {
+  putsSinceTrim += 1;
+  if (putsSinceTrim < 100) return;
+  putsSinceTrim = 0;
+  const keys = await cache.keys();
+  const excess = keys.length - MAX_API_ENTRIES;
+  for (const request of keys.slice(0, Math.max(0, excess))) {
+    await cache.delete(request);
+  }
+}
+
+async function fetchAndStore(request, cacheName) {
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+    if (cacheName === API_CACHE) await trimApiCache(cache);
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  try {
+    return await fetchAndStore(request, cacheName);
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cached = await caches.match(request, { ignoreVary: true });
+  const update = fetchAndStore(request, API_CACHE);
+  if (!cached) return update;
+  event.waitUntil(update.catch(() => {}));
+  return cached;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (API_HOSTS.includes(url.hostname)) {
+    event.respondWith(
+      request.cache === "no-cache" || request.cache === "reload"
+        ? networkFirst(request, API_CACHE)
+        : staleWhileRevalidate(event),
+    );
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});